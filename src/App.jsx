@@ -27,12 +27,52 @@ import {
   Command,
   FileUp,
   ImageUp,
-  Paperclip
+  Paperclip,
+  X,
+  Link2,
+  ListTree,
+  BookOpen,
+  Download,
+  Plus,
+  Pencil,
+  Trash2,
+  Square,
+  ShieldAlert,
+  Library,
+  Archive,
+  ChevronDown,
+  Tag,
+  ArrowUp,
+  ArrowDown,
+  RotateCcw,
+  Mail,
+  FileArchive,
+  Share2,
+  UserPlus,
+  Users,
+  Clock,
+  ArrowLeft,
+  KeyRound,
+  MailCheck,
+  LogIn,
+  MessageSquarePlus,
+  MessageSquareText,
+  AtSign,
+  Reply,
+  RefreshCw,
+  Bell,
+  CheckCheck,
+  Copy,
+  Check,
+  ListChecks,
+  TextQuote
 } from 'lucide-react'
 import * as Toast from '@radix-ui/react-toast'
 import * as Dialog from '@radix-ui/react-dialog'
 import * as DropdownMenu from '@radix-ui/react-dropdown-menu'
 import * as Switch from '@radix-ui/react-switch'
+import { Link, matchPath, useLocation, useNavigate, useSearchParams } from 'react-router-dom'
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
 import {
   AreaChart,
   Area,
@@ -46,54 +86,270 @@ import {
   Pie,
   Cell,
   LineChart as LineChartR,
-  Line
+  Line,
+  Legend
 } from 'recharts'
 
 const API_BASE = import.meta.env.VITE_BACKEND_URL || 'http://localhost:8000'
 
+const IDLE_TIMEOUT_MS = 30 * 60 * 1000
+const IDLE_WARNING_MS = 60 * 1000
+const SESSION_KEYS = ['js_token', 'js_refresh', 'js_expires', 'js_user']
+
+function readUser() {
+  const raw = localStorage.getItem('js_user')
+  return raw ? JSON.parse(raw) : null
+}
+
+// Accepts a login/refresh response: { access_token, refresh_token?, expires_in?, user? }
+function storeSession(data) {
+  localStorage.setItem('js_token', data.access_token)
+  if (data.refresh_token) localStorage.setItem('js_refresh', data.refresh_token)
+  if (data.expires_in) localStorage.setItem('js_expires', String(Date.now() + data.expires_in * 1000))
+  else localStorage.removeItem('js_expires')
+  if (data.user) localStorage.setItem('js_user', JSON.stringify(data.user))
+}
+
+// The session lives in localStorage so all tabs share it: a rotation, login or logout in one tab
+// reaches the others through the storage event. `ended` says why the last session stopped
+// (expired | idle | elsewhere), so the sign-in screen can explain it.
 function useAuth() {
   const [token, setToken] = useState(() => localStorage.getItem('js_token') || '')
-  const [user, setUser] = useState(() => {
-    const raw = localStorage.getItem('js_user')
-    return raw ? JSON.parse(raw) : null
-  })
-  function saveAuth(nextToken, nextUser) {
-    setToken(nextToken)
-    setUser(nextUser)
-    localStorage.setItem('js_token', nextToken)
-    localStorage.setItem('js_user', JSON.stringify(nextUser))
+  const [user, setUser] = useState(readUser)
+  const [ended, setEnded] = useState('')
+  const [idleWarning, setIdleWarning] = useState(false)
+
+  function saveAuth(data) {
+    storeSession(data)
+    localStorage.setItem('js_last_active', String(Date.now()))
+    setToken(data.access_token)
+    setUser(readUser())
+    setEnded('')
   }
-  function logout() {
+  function endSession(reason) {
+    SESSION_KEYS.forEach(k => localStorage.removeItem(k))
     setToken('')
+    setEnded(reason)
+    setIdleWarning(false)
+  }
+  function logout() {
+    const refresh_token = localStorage.getItem('js_refresh')
+    if (token) {
+      fetch(`${API_BASE}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ refresh_token }),
+      }).catch(() => {})
+    }
+    endSession('')
     setUser(null)
-    localStorage.removeItem('js_token')
-    localStorage.removeItem('js_user')
   }
-  return { token, user, saveAuth, logout }
-}
+  function keepAlive() {
+    localStorage.setItem('js_last_active', String(Date.now()))
+    setIdleWarning(false)
+  }
+
+  // Rotates the access/refresh pair. If another tab already rotated past the failing token, adopt its result
+  // instead of spending a refresh token that has been superseded.
+  async function refresh(failed) {
+    const stored = localStorage.getItem('js_token')
+    if (stored && stored !== failed && Number(localStorage.getItem('js_expires') || Infinity) > Date.now()) {
+      setToken(stored)
+      return stored
+    }
+    const refresh_token = localStorage.getItem('js_refresh')
+    if (!refresh_token) return null
+    const res = await fetch(`${API_BASE}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refresh_token }),
+    })
+    if (!res.ok) return null
+    const data = await res.json()
+    storeSession(data)
+    setToken(data.access_token)
+    return data.access_token
+  }
 
-async function api(path, { token, method = 'GET', body, headers } = {}) {
-  const hdrs = { ...(headers || {}) }
-  if (!(body instanceof FormData)) hdrs['Content-Type'] = 'application/json'
-  if (token) hdrs['Authorization'] = `Bearer ${token}`
-  const res = await fetch(`${API_BASE}${path}`, {
-    method,
-    headers: hdrs,
-    body: body instanceof FormData ? body : body ? JSON.stringify(body) : undefined,
+  useEffect(() => {
+    session.refresh = refresh
+    session.expire = () => endSession('expired')
   })
-  if (!res.ok) {
-    let message = 'Request failed'
-    try {
-      const data = await res.json()
-      message = data.detail || data.message || message
-    } catch (_) {}
-    throw new Error(message)
+
+  // Refresh a minute before the access token expires
+  useEffect(() => {
+    const expires = Number(localStorage.getItem('js_expires'))
+    if (!token || !expires) return
+    const t = setTimeout(() => {
+      refreshSession(token).then(fresh => { if (!fresh) endSession('expired') })
+    }, Math.min(2 ** 31 - 1, Math.max(0, expires - Date.now() - 60000)))
+    return () => clearTimeout(t)
+  }, [token])
+
+  useEffect(() => {
+    function onStorage(e) {
+      if (e.key !== 'js_token') return
+      if (e.newValue) {
+        setToken(e.newValue)
+        setUser(readUser())
+        setEnded('')
+      } else {
+        setToken('')
+        setEnded(reason => reason || 'elsewhere')
+      }
+    }
+    window.addEventListener('storage', onStorage)
+    return () => window.removeEventListener('storage', onStorage)
+  }, [])
+
+  // Idle timeout; activity in any tab counts because the timestamp is shared through localStorage
+  useEffect(() => {
+    if (!token) return
+    let last = 0
+    function touch() {
+      const now = Date.now()
+      if (now - last < 5000) return
+      last = now
+      localStorage.setItem('js_last_active', String(now))
+      setIdleWarning(false)
+    }
+    function check() {
+      const idle = Date.now() - Number(localStorage.getItem('js_last_active') || Date.now())
+      if (idle >= IDLE_TIMEOUT_MS) endSession('idle')
+      else setIdleWarning(idle >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS)
+    }
+    const events = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart']
+    events.forEach(ev => window.addEventListener(ev, touch, { passive: true }))
+    check()
+    const timer = setInterval(check, 15000)
+    return () => {
+      events.forEach(ev => window.removeEventListener(ev, touch))
+      clearInterval(timer)
+    }
+  }, [token])
+
+  return { token, user, saveAuth, logout, ended, idleWarning, keepAlive }
+}
+
+
+// Hooks registered by useAuth: how to rotate the access token and what to do once the session is gone
+const session = { refresh: null, expire: null, pending: null }
+
+// Single-flight so a burst of 401s triggers one rotation
+function refreshSession(failed) {
+  if (!session.refresh) return Promise.resolve(null)
+  if (!session.pending) {
+    session.pending = session.refresh(failed).catch(() => null).finally(() => { session.pending = null })
   }
+  return session.pending
+}
+
+// Runs send(token); on a 401 rotates the token once and retries, otherwise ends the session.
+async function authorized(token, send) {
+  const res = await send(token)
+  if (res.status !== 401 || !token) return res
+  const fresh = await refreshSession(token)
+  if (!fresh) {
+    session.expire?.()
+    return res
+  }
+  return send(fresh)
+}
+
+async function errorMessage(res) {
+  let message = 'Request failed'
+  try {
+    const data = await res.json()
+    message = data.detail || data.message || message
+  } catch (_) {}
+  return message
+}
+
+function qs(params) {
+  const p = new URLSearchParams()
+  Object.entries(params).forEach(([k, v]) => { if (v !== undefined && v !== null && v !== '') p.set(k, v) })
+  const str = p.toString()
+  return str ? `?${str}` : ''
+}
+
+async function api(path, { token, method = 'GET', body, headers, as, signal } = {}) {
+  const res = await authorized(token, (t) => {
+    const hdrs = { ...(headers || {}) }
+    if (!(body instanceof FormData)) hdrs['Content-Type'] = 'application/json'
+    if (t) hdrs['Authorization'] = `Bearer ${t}`
+    return fetch(`${API_BASE}${path}`, {
+      method,
+      headers: hdrs,
+      body: body instanceof FormData ? body : body ? JSON.stringify(body) : undefined,
+      signal,
+    })
+  })
+  if (!res.ok) throw new Error(await errorMessage(res))
+  if (as) return res[as]()
   const ct = res.headers.get('content-type') || ''
   if (ct.includes('application/json')) return res.json()
   return res.text()
 }
 
+// POST that consumes a server-sent event stream; each `data:` payload is passed to onEvent.
+// Falls back to a single { answer, ... } event when the server replies with plain JSON.
+async function apiStream(path, { token, body, onEvent, signal }) {
+  const res = await authorized(token, (t) => {
+    const hdrs = { 'Content-Type': 'application/json', Accept: 'text/event-stream' }
+    if (t) hdrs['Authorization'] = `Bearer ${t}`
+    return fetch(`${API_BASE}${path}`, { method: 'POST', headers: hdrs, body: JSON.stringify(body), signal })
+  })
+  if (!res.ok) throw new Error(await errorMessage(res))
+  const ct = res.headers.get('content-type') || ''
+  if (!ct.includes('text/event-stream') || !res.body) {
+    onEvent(ct.includes('application/json') ? await res.json() : { answer: await res.text() })
+    return
+  }
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader()
+  let buf = ''
+  for (;;) {
+    const { value, done } = await reader.read()
+    if (done) break
+    buf += value.replace(/\r\n/g, '\n')
+    let idx
+    while ((idx = buf.indexOf('\n\n')) >= 0) {
+      const chunk = buf.slice(0, idx)
+      buf = buf.slice(idx + 2)
+      const data = chunk.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).replace(/^ /, '')).join('\n')
+      if (!data || data === '[DONE]') continue
+      let evt
+      try { evt = JSON.parse(data) } catch (_) { evt = { delta: data } }
+      onEvent(evt)
+    }
+  }
+}
+
+// XHR-based request so upload progress is observable; onProgress receives bytes sent so far.
+async function apiUpload(path, { token, method = 'POST', body, headers, signal, onProgress }) {
+  const send = (t) => new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Upload cancelled', 'AbortError'))
+    const xhr = new XMLHttpRequest()
+    const abort = () => xhr.abort()
+    xhr.open(method, `${API_BASE}${path}`)
+    if (t) xhr.setRequestHeader('Authorization', `Bearer ${t}`)
+    Object.entries(headers || {}).forEach(([k, v]) => xhr.setRequestHeader(k, v))
+    xhr.upload.onprogress = (e) => onProgress?.(e.loaded)
+    xhr.onload = () => {
+      let data = xhr.responseText
+      try { data = JSON.parse(xhr.responseText) } catch (_) {}
+      resolve({ status: xhr.status, data })
+    }
+    xhr.onerror = () => reject(new Error('Network error'))
+    xhr.onabort = () => reject(new DOMException('Upload cancelled', 'AbortError'))
+    xhr.onloadend = () => signal?.removeEventListener('abort', abort)
+    signal?.addEventListener('abort', abort)
+    xhr.send(body)
+  })
+  const { status, data } = await authorized(token, send)
+  if (status >= 200 && status < 300) return data
+  throw new Error(data?.detail || data?.message || 'Request failed')
+}
+
 // Theme management (dark/light)
 function useTheme() {
   const [dark, setDark] = useState(() => {
@@ -110,11 +366,16 @@ function useTheme() {
 }
 
 // Toast hook using Radix
+// Toasts stack in the viewport and expire on their own; beyond TOAST_LIMIT the oldest are dropped.
+// `action: { label, onClick }` adds a button, e.g. to open what a notification refers to.
+const TOAST_LIMIT = 4
+const TOAST_DURATION = 6000
+
 function useToasts() {
   const [toasts, setToasts] = useState([])
   function pushToast(t) {
     const id = Math.random().toString(36).slice(2)
-    setToasts((s) => [...s, { id, ...t }])
+    setToasts((s) => [...s, { id, ...t }].slice(-TOAST_LIMIT))
     return id
   }
   function dismiss(id) {
@@ -123,23 +384,483 @@ function useToasts() {
   return { toasts, pushToast, dismiss }
 }
 
-function AuthView({ onAuthed }) {
-  const [isLogin, setIsLogin] = useState(true)
+// Chat threads live on the server so a /chat/:threadId link opens for anyone the thread is visible to:
+//   GET    /api/chat/threads?workspace_id=  → { threads: [{ id, title, created_at, updated_at }] }
+//   GET    /api/chat/threads/:id            → { id, title, created_at, updated_at, messages: [...] }
+//   POST   /api/chat/threads                  { title, workspace_id } → thread
+//   PATCH  /api/chat/threads/:id              { title }
+//   DELETE /api/chat/threads/:id
+//   POST   /api/chat/threads/:id/messages     { id, q, a, sources, command } once an exchange finishes
+// Listed threads carry no messages until opened. Streams live here so they survive tab switches.
+// The open thread is owned by the /chat/:threadId route (activeId / setActiveId); lastId remembers it for bare /chat visits
+function useChatThreads(token, user, workspaceId, activeId, setActiveId) {
+  const key = `js_threads_${user?.id || user?.email || 'anon'}_${workspaceId || 'default'}`
+  const [threads, setThreads] = useState([])
+  const [loaded, setLoaded] = useState(false)
+  const [error, setError] = useState('')
+  const [openError, setOpenError] = useState(null) // { id, error } for a linked thread that could not be fetched
+  const [lastId, setLastId] = useState(() => localStorage.getItem(`${key}_active`) || '')
+  const [busy, setBusy] = useState(false)
+  const [draft, setDraft] = useState('')
+  const loadedKey = useRef(key)
+  const abortRef = useRef(null)
+
+  useEffect(() => {
+    if (!token || !workspaceId) return
+    let cancelled = false
+    setThreads([])
+    setLoaded(false)
+    setError('')
+    api(`/api/chat/threads${qs({ workspace_id: workspaceId })}`, { token })
+      .then(res => {
+        if (cancelled) return
+        // Threads opened or started while the list was in flight keep their messages
+        setThreads(prev => {
+          const list = (res.threads || []).map(t => ({ ...t, messages: prev.find(p => p.id === t.id)?.messages }))
+          return [...list, ...prev.filter(p => p.messages && !list.some(t => t.id === p.id))]
+        })
+        setLoaded(true)
+      })
+      .catch(err => { if (!cancelled) setError(err.message) })
+    return () => { cancelled = true }
+  }, [token, workspaceId])
+  useEffect(() => {
+    if (!token || !activeId || threads.find(t => t.id === activeId)?.messages) return
+    let cancelled = false
+    setOpenError(null)
+    api(`/api/chat/threads/${activeId}`, { token })
+      .then(t => {
+        if (cancelled) return
+        const thread = { ...t, messages: (t.messages || []).map(m => ({ ...m, streaming: false })) }
+        setThreads(ts => (ts.some(x => x.id === thread.id) ? ts.map(x => (x.id === thread.id ? { ...x, ...thread } : x)) : [...ts, thread]))
+      })
+      .catch(err => { if (!cancelled) setOpenError({ id: activeId, error: err.message }) })
+    return () => { cancelled = true }
+  }, [token, activeId, workspaceId])
+  useEffect(() => {
+    if (loadedKey.current === key) return
+    loadedKey.current = key
+    setLastId(localStorage.getItem(`${key}_active`) || '')
+  }, [key])
+  useEffect(() => { if (activeId && threads.some(t => t.id === activeId)) setLastId(activeId) }, [activeId, threads])
+  useEffect(() => { localStorage.setItem(`${key}_active`, lastId) }, [key, lastId])
+
+  const active = threads.find(t => t.id === activeId) || null
+
+  function patchThread(id, fn) {
+    setThreads(ts => ts.map(t => (t.id === id ? fn(t) : t)))
+  }
+  async function newThread(title = 'New conversation') {
+    const created = await api('/api/chat/threads', { token, method: 'POST', body: { title, workspace_id: workspaceId } })
+    const thread = { ...created, messages: [] }
+    setThreads(ts => [thread, ...ts])
+    setActiveId(thread.id)
+    return thread
+  }
+  async function renameThread(id, title) {
+    if (!title.trim()) return
+    const before = threads.find(t => t.id === id)?.title
+    patchThread(id, t => ({ ...t, title: title.trim() }))
+    try {
+      await api(`/api/chat/threads/${id}`, { token, method: 'PATCH', body: { title: title.trim() } })
+    } catch (err) {
+      patchThread(id, t => ({ ...t, title: before }))
+      setError(err.message)
+    }
+  }
+  async function deleteThread(id) {
+    try {
+      await api(`/api/chat/threads/${id}`, { token, method: 'DELETE' })
+    } catch (err) {
+      return setError(err.message)
+    }
+    setThreads(ts => ts.filter(t => t.id !== id))
+    if (id === lastId) setLastId('')
+    if (id === activeId) setActiveId('')
+  }
+  function stop() {
+    abortRef.current?.abort()
+  }
+
+  async function send(text, command) {
+    // A linked thread still loading has no history to continue from yet
+    if (active && !active.messages) return
+    setError('')
+    let thread = active
+    try {
+      thread = thread || await newThread(text.slice(0, 48))
+    } catch (err) {
+      return setError(err.message)
+    }
+    if (!thread.messages.length && thread.title !== text.slice(0, 48)) renameThread(thread.id, text.slice(0, 48))
+    const history = thread.messages.filter(m => !m.command).flatMap(m => [{ role: 'user', content: m.q }, { role: 'assistant', content: m.a }])
+    // The message is mirrored here so the finished exchange can be saved without reading state back
+    let msg = {
+      id: Math.random().toString(36).slice(2), q: text, a: '', sources: [], streaming: true,
+      command: command ? { name: command.cmd.k, docs: command.docs.map(d => ({ id: d.id, filename: d.filename })), query: command.query } : undefined,
+    }
+    const patchMsg = (fn) => {
+      msg = fn(msg)
+      patchThread(thread.id, t => ({ ...t, messages: t.messages.map(m => (m.id === msg.id ? msg : m)) }))
+    }
+    patchThread(thread.id, t => ({ ...t, updated_at: new Date().toISOString(), messages: [...t.messages, msg] }))
+    const ctrl = new AbortController()
+    abortRef.current = ctrl
+    setBusy(true)
+    try {
+      if (command) {
+        const result = await runSlashCommand(command, token, workspaceId, ctrl.signal)
+        patchMsg(m => ({ ...m, command: { ...m.command, result } }))
+        return
+      }
+      await apiStream('/api/chat', {
+        token,
+        signal: ctrl.signal,
+        body: { message: text, history, thread_id: thread.id, workspace_id: workspaceId, stream: true },
+        onEvent: (e) => {
+          if (e.error) throw new Error(e.error)
+          if (e.delta) patchMsg(m => ({ ...m, a: m.a + e.delta }))
+          if (e.answer !== undefined) patchMsg(m => ({ ...m, a: e.answer }))
+          if (e.sources) patchMsg(m => ({ ...m, sources: e.sources }))
+        },
+      })
+    } catch (err) {
+      if (err.name !== 'AbortError') patchMsg(m => ({ ...m, a: (m.a ? m.a + '\n\n' : '') + 'Error: ' + err.message }))
+      else if (command) patchMsg(m => ({ ...m, a: 'Stopped.' }))
+    } finally {
+      patchMsg(m => ({ ...m, streaming: false }))
+      abortRef.current = null
+      setBusy(false)
+      const { streaming, ...message } = msg
+      api(`/api/chat/threads/${thread.id}/messages`, { token, method: 'POST', body: message })
+        .catch(err => setError(`This reply wasn't saved: ${err.message}`))
+    }
+  }
+
+  const openFailed = openError?.id === activeId ? openError.error : ''
+  return { threads, active, activeId, lastId, loaded, error, openFailed, setActiveId, newThread, renameThread, deleteThread, send, stop, busy, draft, setDraft }
+}
+
+// Workspaces from the API; the selected one is remembered across reloads
+function useWorkspaces(token) {
+  const [all, setAll] = useState([])
+  const [loaded, setLoaded] = useState(false)
+  const [error, setError] = useState('')
+  const [currentId, setCurrentId] = useState(() => localStorage.getItem('js_workspace') || '')
+  const workspaces = all.filter(w => !w.archived)
+  const current = workspaces.find(w => w.id === currentId) || workspaces[0] || null
+
+  async function load() {
+    if (!token) return
+    try {
+      const res = await api('/api/workspaces', { token })
+      setAll(res.workspaces || [])
+      setError('')
+      setLoaded(true)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  useEffect(() => { load() }, [token])
+  useEffect(() => { if (current) localStorage.setItem('js_workspace', current.id) }, [current?.id])
+
+  async function create(name) {
+    const w = await api('/api/workspaces', { token, method: 'POST', body: { name } })
+    setAll(ws => [...ws, w])
+    setCurrentId(w.id)
+    return w
+  }
+  async function rename(id, name) {
+    const w = await api(`/api/workspaces/${id}`, { token, method: 'PATCH', body: { name } })
+    setAll(ws => ws.map(x => (x.id === id ? { ...x, ...w } : x)))
+  }
+  async function archive(id) {
+    await api(`/api/workspaces/${id}`, { token, method: 'PATCH', body: { archived: true } })
+    setAll(ws => ws.map(x => (x.id === id ? { ...x, archived: true } : x)))
+  }
+
+  return { workspaces, current, loaded, error, reload: load, select: setCurrentId, create, rename, archive }
+}
+
+// Workspace roles. The server enforces the same matrix; the UI uses it to hide or disable what a role cannot do.
+const ROLES = {
+  admin: { label: 'Admin', can: ['*'] },
+  partner: { label: 'Partner', can: ['workspace.create', 'workspace.manage', 'workspace.members', 'documents.upload', 'documents.edit', 'documents.delete', 'documents.share', 'documents.comment', 'playbook.view', 'playbook.edit', 'analytics.view', 'ai.chat', 'ai.analyze'] },
+  associate: { label: 'Associate', can: ['documents.upload', 'documents.edit', 'documents.comment', 'playbook.view', 'ai.chat', 'ai.analyze'] },
+  client_viewer: { label: 'Client viewer', can: ['documents.comment', 'ai.chat'] },
+}
+// A document shared with narrower access caps the document actions the workspace role would otherwise allow
+const SHARE_ACCESS = {
+  view: { label: 'Can view', can: [] },
+  comment: { label: 'Can comment', can: ['documents.comment'] },
+  edit: { label: 'Can edit', can: ['documents.comment', 'documents.edit'] },
+}
+
+// Returns can(action, doc?). Unknown or missing roles get the least privileged set.
+function permissionsFor(role) {
+  const grants = (ROLES[role] || ROLES.client_viewer).can
+  return (action, doc) => {
+    if (!grants.includes('*') && !grants.includes(action)) return false
+    const share = SHARE_ACCESS[doc?.access]
+    return !share || !action.startsWith('documents.') || share.can.includes(action)
+  }
+}
+
+const STREAM_RETRY_MS = 5000
+
+// EventSource cannot set headers, and the session token must not end up in URLs (access logs, history). Each
+// connection redeems a short-lived, single-use ticket for that stream instead. A spent ticket cannot be replayed,
+// so on error the source is closed and reopened with a fresh one rather than left to reconnect natively.
+// Returns a function that closes the stream.
+function openEventStream(token, path, params, onMessage) {
+  let es = null
+  let closed = false
+  let retry = null
+  const reconnect = () => { if (!closed) retry = setTimeout(connect, STREAM_RETRY_MS) }
+  async function connect() {
+    try {
+      const { ticket } = await api('/api/stream-tickets', { token, method: 'POST', body: { stream: path } })
+      if (closed) return
+      es = new EventSource(`${API_BASE}${path}${qs({ ...params, ticket })}`)
+      es.onmessage = (e) => {
+        let data
+        try { data = JSON.parse(e.data) } catch (_) { return }
+        onMessage(data)
+      }
+      es.onerror = () => { es.close(); reconnect() }
+    } catch (_) {
+      reconnect()
+    }
+  }
+  connect()
+  return () => { closed = true; clearTimeout(retry); es?.close() }
+}
+
+// Server-sent processing events for the workspace: { id, filename, stage, status, progress, error }
+function useDocumentEvents(token, workspaceId, onEvent) {
+  const handler = useRef(onEvent)
+  handler.current = onEvent
+  useEffect(() => {
+    if (!token || typeof EventSource === 'undefined') return
+    return openEventStream(token, '/api/documents/events', { workspace_id: workspaceId }, (evt) => {
+      if (evt?.id) handler.current(evt)
+    })
+  }, [token, workspaceId])
+}
+
+// Per-user notification feed: history from the API, new items pushed over SSE.
+// Read state is optimistic and rolled back when the server rejects it.
+const NOTIFICATION_LIMIT = 50
+// How long a toasted processing result suppresses its duplicate from the other channel
+const ANNOUNCE_WINDOW_MS = 60 * 1000
+
+function useNotifications(token, onArrive) {
+  const [items, setItems] = useState([])
+  const [unread, setUnread] = useState(0)
+  const [error, setError] = useState('')
+  const itemsRef = useRef(items)
+  itemsRef.current = items
+  const unreadRef = useRef(unread)
+  unreadRef.current = unread
+  const handler = useRef(onArrive)
+  handler.current = onArrive
+  const seen = useRef(new Set())
+  // Items pushed before the history has loaded; their unread state is added to the server's count
+  const early = useRef([])
+  const generation = useRef(0)
+
+  async function load() {
+    const gen = generation.current
+    setError('')
+    try {
+      const res = await api(`/api/notifications${qs({ limit: NOTIFICATION_LIMIT })}`, { token })
+      if (gen !== generation.current) return
+      const list = res.notifications || []
+      list.forEach(n => seen.current.add(n.id))
+      // Only the first load merges pushed items; a reload (Retry) takes the server's read state as-is
+      const extra = (early.current || []).filter(n => !n.read && !list.some(l => l.id === n.id)).length
+      early.current = null
+      const ids = new Set(list.map(n => n.id))
+      setItems(prev => [...prev.filter(p => !ids.has(p.id)), ...list].slice(0, NOTIFICATION_LIMIT))
+      setUnread((res.unread ?? list.filter(n => !n.read).length) + extra)
+    } catch (err) {
+      if (gen === generation.current) setError(err.message)
+    }
+  }
+
+  useEffect(() => {
+    const gen = ++generation.current
+    setItems([])
+    setUnread(0)
+    setError('')
+    seen.current = new Set()
+    early.current = []
+    if (!token) return
+    load()
+    if (typeof EventSource === 'undefined') return () => { generation.current++ }
+    const close = openEventStream(token, '/api/notifications/stream', {}, (n) => {
+      // Reconnects may replay recent events
+      if (gen !== generation.current || !n?.id || seen.current.has(n.id)) return
+      seen.current.add(n.id)
+      early.current?.push(n)
+      setItems(list => [n, ...list].slice(0, NOTIFICATION_LIMIT))
+      if (!n.read) setUnread(u => u + 1)
+      handler.current?.(n)
+    })
+    return () => { generation.current++; close() }
+  }, [token])
+
+  async function markRead(ids) {
+    const fresh = itemsRef.current.filter(n => !n.read && ids.includes(n.id)).map(n => n.id)
+    if (!fresh.length) return
+    setItems(list => list.map(n => (fresh.includes(n.id) ? { ...n, read: true } : n)))
+    setUnread(u => Math.max(0, u - fresh.length))
+    try {
+      await api('/api/notifications/read', { token, method: 'POST', body: { ids: fresh } })
+    } catch (err) {
+      setItems(list => list.map(n => (fresh.includes(n.id) ? { ...n, read: false } : n)))
+      setUnread(u => u + fresh.length)
+      setError(`Could not mark as read: ${err.message}`)
+    }
+  }
+  async function markAllRead() {
+    const fresh = itemsRef.current.filter(n => !n.read).map(n => n.id)
+    const count = unreadRef.current
+    setItems(list => list.map(n => ({ ...n, read: true })))
+    setUnread(0)
+    try {
+      await api('/api/notifications/read', { token, method: 'POST', body: { all: true } })
+    } catch (err) {
+      setItems(list => list.map(n => (fresh.includes(n.id) ? { ...n, read: false } : n)))
+      setUnread(u => u + count)
+      setError(`Could not mark as read: ${err.message}`)
+    }
+  }
+
+  return { items, unread, error, reload: load, markRead, markAllRead }
+}
+
+// Single sign-on. Point VITE_OIDC_ISSUER / VITE_OIDC_CLIENT_ID at any OIDC provider (a local mock IdP works)
+// that allows `${origin}/auth/callback` as a redirect URI; VITE_SAML_ENABLED=true shows the SAML option.
+const OIDC = {
+  issuer: (import.meta.env.VITE_OIDC_ISSUER || '').replace(/\/$/, ''),
+  clientId: import.meta.env.VITE_OIDC_CLIENT_ID || '',
+  scope: import.meta.env.VITE_OIDC_SCOPE || 'openid profile email',
+}
+const SAML_ENABLED = import.meta.env.VITE_SAML_ENABLED === 'true'
+const AUTH_CALLBACK = `${window.location.origin}/auth/callback`
+
+function base64url(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function randomToken(size = 32) {
+  return base64url(crypto.getRandomValues(new Uint8Array(size)))
+}
+
+// Authorization code + PKCE: the verifier never leaves this tab until the backend redeems the code with it
+async function startOidcLogin() {
+  const res = await fetch(`${OIDC.issuer}/.well-known/openid-configuration`)
+  if (!res.ok) throw new Error('Could not reach the identity provider')
+  const { authorization_endpoint } = await res.json()
+  const verifier = randomToken(48)
+  const challenge = base64url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(verifier)))
+  const state = randomToken(16)
+  const nonce = randomToken(16)
+  sessionStorage.setItem('js_sso', JSON.stringify({ kind: 'oidc', state, nonce, verifier }))
+  const url = new URL(authorization_endpoint)
+  Object.entries({
+    response_type: 'code',
+    client_id: OIDC.clientId,
+    redirect_uri: AUTH_CALLBACK,
+    scope: OIDC.scope,
+    state,
+    nonce,
+    code_challenge: challenge,
+    code_challenge_method: 'S256',
+  }).forEach(([k, v]) => url.searchParams.set(k, v))
+  window.location.assign(url.toString())
+}
+
+// SP-initiated SAML: the backend builds the AuthnRequest and sends the browser back to /auth/callback with a one-time ticket
+function startSamlLogin() {
+  const state = randomToken(16)
+  sessionStorage.setItem('js_sso', JSON.stringify({ kind: 'saml', state }))
+  window.location.assign(`${API_BASE}/api/auth/saml/login${qs({ relay_state: state, redirect_uri: AUTH_CALLBACK })}`)
+}
+
+async function finishSsoLogin(params) {
+  const pending = JSON.parse(sessionStorage.getItem('js_sso') || 'null')
+  sessionStorage.removeItem('js_sso')
+  if (params.get('error')) throw new Error(params.get('error_description') || params.get('error'))
+  const state = params.get('state') || params.get('relay_state')
+  if (!pending || state !== pending.state) throw new Error('The sign-in response does not match this browser session. Please try again.')
+  if (pending.kind === 'saml') return api('/api/auth/saml/exchange', { method: 'POST', body: { ticket: params.get('ticket') } })
+  return api('/api/auth/oidc/callback', { method: 'POST', body: { code: params.get('code'), code_verifier: pending.verifier, nonce: pending.nonce, redirect_uri: AUTH_CALLBACK } })
+}
+
+const SESSION_NOTICES = {
+  expired: 'Your session expired. Sign in again to pick up where you left off.',
+  idle: `You were signed out after ${IDLE_TIMEOUT_MS / 60000} minutes of inactivity.`,
+  elsewhere: 'You were signed out in another tab.',
+}
+const AUTH_INPUT = 'w-full px-3 py-2 rounded-xl bg-white/10 outline-none border border-white/20 focus:border-primary/70'
+
+// Sign-in flow. Besides password login/registration it handles the /auth/* landing routes:
+// callback (SSO), reset (password reset link) and verify (email verification link).
+function AuthView({ onAuthed, notice, initialEmail = '' }) {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [mode, setMode] = useState(() => ({ '/auth/callback': 'sso', '/auth/reset': 'reset', '/auth/verify': 'verifying' }[location.pathname] || 'login'))
   const [name, setName] = useState('')
-  const [email, setEmail] = useState('')
+  const [email, setEmail] = useState(initialEmail)
   const [password, setPassword] = useState('')
+  const [confirm, setConfirm] = useState('')
+  const [mfa, setMfa] = useState(null) // { token, secret?, otpauth_url? }
+  const [code, setCode] = useState('')
+  const [recovery, setRecovery] = useState(false)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [info, setInfo] = useState('')
+  const handled = useRef(false)
+  const linkToken = new URLSearchParams(location.search).get('token') || ''
+  const ssoEnabled = !!(OIDC.issuer && OIDC.clientId)
 
-  async function submit(e) {
-    e.preventDefault()
+  // SSO leaves the app, so the deep link the user started from is kept for the way back
+  function startSso(start) {
+    if (!location.pathname.startsWith('/auth/')) sessionStorage.setItem('js_return_to', `${location.pathname}${location.search}`)
+    return start()
+  }
+  function leaveAuthRoute() {
+    const back = sessionStorage.getItem('js_return_to')
+    sessionStorage.removeItem('js_return_to')
+    if (location.pathname.startsWith('/auth/')) navigate(back || '/', { replace: true })
+  }
+  // Login-like responses either carry tokens or ask for another step
+  function handle(data) {
+    if (data?.mfa_required) {
+      setMfa({ token: data.mfa_token, secret: data.secret, otpauth_url: data.otpauth_url })
+      setCode('')
+      setMode('mfa')
+    } else if (data?.verification_required) {
+      if (data.email) setEmail(data.email)
+      setMode('verify-sent')
+    } else {
+      leaveAuthRoute()
+      onAuthed(data)
+    }
+  }
+  function go(next, message = '') {
+    setError('')
+    setInfo(message)
+    setMode(next)
+  }
+  async function run(fn) {
     setError('')
     setLoading(true)
     try {
-      const path = isLogin ? '/api/auth/login' : '/api/auth/register'
-      const payload = isLogin ? { email, password } : { name, email, password }
-      const data = await api(path, { method: 'POST', body: payload })
-      onAuthed(data)
+      await fn()
     } catch (err) {
       setError(err.message)
     } finally {
@@ -147,6 +868,57 @@ function AuthView({ onAuthed }) {
     }
   }
 
+  useEffect(() => {
+    if (handled.current) return
+    handled.current = true
+    if (mode === 'sso') {
+      finishSsoLogin(new URLSearchParams(location.search))
+        .then(handle)
+        .catch(err => { navigate('/', { replace: true }); go('login'); setError(err.message) })
+    }
+    if (mode === 'verifying') {
+      api('/api/auth/verify', { method: 'POST', body: { token: linkToken } })
+        .then(data => {
+          if (data?.access_token) return handle(data)
+          navigate('/', { replace: true })
+          go('login', 'Your email is verified. You can sign in now.')
+        })
+        .catch(err => { navigate('/', { replace: true }); go('login'); setError(err.message) })
+    }
+  }, [])
+
+  function submit(e) {
+    e.preventDefault()
+    run(async () => {
+      if (mode === 'login') handle(await api('/api/auth/login', { method: 'POST', body: { email, password } }))
+      if (mode === 'register') handle(await api('/api/auth/register', { method: 'POST', body: { name, email, password } }))
+      if (mode === 'mfa') handle(await api('/api/auth/mfa/verify', { method: 'POST', body: { mfa_token: mfa.token, code: code.replace(/\s/g, ''), method: recovery ? 'recovery' : 'totp' } }))
+      if (mode === 'forgot') {
+        await api('/api/auth/password/forgot', { method: 'POST', body: { email } })
+        go('login', `If an account exists for ${email}, we've sent a link to reset the password.`)
+      }
+      if (mode === 'reset') {
+        if (password !== confirm) throw new Error('Passwords do not match')
+        await api('/api/auth/password/reset', { method: 'POST', body: { token: linkToken, password } })
+        navigate('/', { replace: true })
+        setPassword('')
+        setConfirm('')
+        go('login', 'Your password has been changed. Sign in with the new password.')
+      }
+    })
+  }
+  function resendVerification() {
+    run(async () => {
+      await api('/api/auth/verify/resend', { method: 'POST', body: { email } })
+      setInfo(`We sent a new verification link to ${email}.`)
+    })
+  }
+
+  const submitLabel = { login: 'Sign in', register: 'Create account', mfa: 'Verify', forgot: 'Send reset link', reset: 'Set new password' }[mode]
+  const back = (
+    <button type="button" onClick={()=>{ setMfa(null); navigate('/', { replace: true }); go('login') }} className="inline-flex items-center gap-1 text-sm text-white/70 hover:text-white mb-4"><ArrowLeft size={14}/> Back to sign in</button>
+  )
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-[#0b1225] via-[#0a1633] to-[#07121f] text-white relative overflow-hidden">
       <div className="pointer-events-none absolute inset-0 opacity-20">
@@ -162,78 +934,484 @@ function AuthView({ onAuthed }) {
               <p className="text-sm text-white/70">AI legal analysis, simplified</p>
             </div>
           </div>
-          <div role="tablist" aria-label="auth switch" className="flex gap-2 mb-6">
-            <button aria-pressed={isLogin} className={`flex-1 py-2 rounded-xl transition border ${isLogin ? 'bg-primary text-white border-primary' : 'bg-white/10 border-white/10 hover:bg-white/20'}`} onClick={() => setIsLogin(true)}>Sign in</button>
-            <button aria-pressed={!isLogin} className={`flex-1 py-2 rounded-xl transition border ${!isLogin ? 'bg-primary text-white border-primary' : 'bg-white/10 border-white/10 hover:bg-white/20'}`} onClick={() => setIsLogin(false)}>Create account</button>
-          </div>
-          <form onSubmit={submit} className="space-y-4" aria-label="authentication form">
-            {!isLogin && (
-              <div>
-                <label className="block text-sm mb-1">Full Name</label>
-                <input className="w-full px-3 py-2 rounded-xl bg-white/10 outline-none border border-white/20 focus:border-primary/70" value={name} onChange={(e)=>setName(e.target.value)} required />
+          {SESSION_NOTICES[notice] && mode === 'login' && !info && (
+            <div className="mb-4 flex items-center gap-2 rounded-xl border border-amber-300/30 bg-amber-400/10 px-3 py-2 text-sm text-amber-100"><Clock size={16} className="shrink-0"/> {SESSION_NOTICES[notice]}</div>
+          )}
+          {info && (
+            <div className="mb-4 flex items-center gap-2 rounded-xl border border-teal-300/30 bg-teal-400/10 px-3 py-2 text-sm text-teal-100"><CheckCircle2 size={16} className="shrink-0"/> {info}</div>
+          )}
+
+          {(mode === 'sso' || mode === 'verifying') && (
+            <div className="flex items-center gap-2 text-white/80"><Loader2 className="animate-spin" size={18}/> {mode === 'sso' ? 'Completing single sign-on…' : 'Verifying your email…'}</div>
+          )}
+
+          {mode === 'verify-sent' && (
+            <div className="space-y-4">
+              {back}
+              <div className="flex items-start gap-3">
+                <MailCheck className="text-teal-300 shrink-0" />
+                <div className="text-sm text-white/80">We sent a verification link to <span className="font-medium text-white">{email}</span>. Open it to activate your account, then sign in.</div>
               </div>
-            )}
-            <div>
-              <label className="block text-sm mb-1">Email</label>
-              <input type="email" className="w-full px-3 py-2 rounded-xl bg-white/10 outline-none border border-white/20 focus:border-primary/70" value={email} onChange={(e)=>setEmail(e.target.value)} required />
-            </div>
-            <div>
-              <label className="block text-sm mb-1">Password</label>
-              <input type="password" className="w-full px-3 py-2 rounded-xl bg-white/10 outline-none border border-white/20 focus:border-primary/70" value={password} onChange={(e)=>setPassword(e.target.value)} required />
+              {error && <div className="flex items-center gap-2 text-red-300 text-sm"><AlertTriangle size={16} /> {error}</div>}
+              <button type="button" disabled={loading} onClick={resendVerification} className="w-full py-2.5 rounded-xl bg-white/10 border border-white/20 hover:bg-white/20 transition flex items-center justify-center gap-2">
+                {loading && <Loader2 className="animate-spin" size={18} />} Resend link
+              </button>
             </div>
-            {error && (
-              <div className="flex items-center gap-2 text-red-300 text-sm"><AlertTriangle size={16} /> {error}</div>
-            )}
-            <button disabled={loading} className="w-full py-2.5 rounded-xl bg-accent text-white hover:bg-teal-600 transition flex items-center justify-center gap-2">
-              {loading ? <Loader2 className="animate-spin" size={18} /> : <CheckCircle2 size={18} />} {isLogin ? 'Sign in' : 'Create account'}
-            </button>
-          </form>
+          )}
+
+          {['login', 'register', 'mfa', 'forgot', 'reset'].includes(mode) && (
+            <>
+              {(mode === 'login' || mode === 'register') ? (
+                <div role="tablist" aria-label="auth switch" className="flex gap-2 mb-6">
+                  <button aria-pressed={mode === 'login'} className={`flex-1 py-2 rounded-xl transition border ${mode === 'login' ? 'bg-primary text-white border-primary' : 'bg-white/10 border-white/10 hover:bg-white/20'}`} onClick={() => go('login')}>Sign in</button>
+                  <button aria-pressed={mode === 'register'} className={`flex-1 py-2 rounded-xl transition border ${mode === 'register' ? 'bg-primary text-white border-primary' : 'bg-white/10 border-white/10 hover:bg-white/20'}`} onClick={() => go('register')}>Create account</button>
+                </div>
+              ) : back}
+              <form onSubmit={submit} className="space-y-4" aria-label="authentication form">
+                {mode === 'register' && (
+                  <div>
+                    <label className="block text-sm mb-1">Full Name</label>
+                    <input className={AUTH_INPUT} value={name} onChange={(e)=>setName(e.target.value)} required />
+                  </div>
+                )}
+                {['login', 'register', 'forgot'].includes(mode) && (
+                  <div>
+                    <label className="block text-sm mb-1">Email</label>
+                    <input type="email" autoComplete="username" className={AUTH_INPUT} value={email} onChange={(e)=>setEmail(e.target.value)} required />
+                  </div>
+                )}
+                {['login', 'register', 'reset'].includes(mode) && (
+                  <div>
+                    <div className="flex items-center justify-between mb-1">
+                      <label className="block text-sm">{mode === 'reset' ? 'New password' : 'Password'}</label>
+                      {mode === 'login' && <button type="button" onClick={()=>go('forgot')} className="text-xs text-white/70 hover:text-white">Forgot password?</button>}
+                    </div>
+                    <input type="password" autoComplete={mode === 'login' ? 'current-password' : 'new-password'} minLength={mode === 'login' ? undefined : 8} className={AUTH_INPUT} value={password} onChange={(e)=>setPassword(e.target.value)} required />
+                  </div>
+                )}
+                {mode === 'reset' && (
+                  <div>
+                    <label className="block text-sm mb-1">Confirm password</label>
+                    <input type="password" autoComplete="new-password" className={AUTH_INPUT} value={confirm} onChange={(e)=>setConfirm(e.target.value)} required />
+                  </div>
+                )}
+                {mode === 'mfa' && (
+                  <div className="space-y-3">
+                    {mfa?.secret && (
+                      <div className="text-sm text-white/80 space-y-1">
+                        <div>Add JuriSight to your authenticator app with this key, then enter the code it shows.</div>
+                        <div className="font-mono text-white bg-white/10 rounded-lg px-2 py-1 break-all select-all">{mfa.secret}</div>
+                        {mfa.otpauth_url && <a href={mfa.otpauth_url} className="text-xs underline text-white/70">Open in authenticator app</a>}
+                      </div>
+                    )}
+                    <div>
+                      <label className="block text-sm mb-1">{recovery ? 'Recovery code' : 'Authentication code'}</label>
+                      <input
+                        autoFocus
+                        inputMode={recovery ? 'text' : 'numeric'}
+                        autoComplete="one-time-code"
+                        pattern={recovery ? undefined : '\\d{6}'}
+                        maxLength={recovery ? 32 : 6}
+                        placeholder={recovery ? 'xxxx-xxxx' : '123456'}
+                        className={`${AUTH_INPUT} tracking-widest`}
+                        value={code}
+                        onChange={(e)=>setCode(e.target.value)}
+                        required
+                      />
+                    </div>
+                    <button type="button" onClick={()=>{ setRecovery(r => !r); setCode('') }} className="text-xs text-white/70 hover:text-white">{recovery ? 'Use authenticator code' : 'Use a recovery code instead'}</button>
+                  </div>
+                )}
+                {mode === 'forgot' && <div className="text-sm text-white/70">We'll email you a link to choose a new password.</div>}
+                {error && (
+                  <div className="flex items-center gap-2 text-red-300 text-sm"><AlertTriangle size={16} /> {error}</div>
+                )}
+                <button disabled={loading} className="w-full py-2.5 rounded-xl bg-accent text-white hover:bg-teal-600 transition flex items-center justify-center gap-2">
+                  {loading ? <Loader2 className="animate-spin" size={18} /> : mode === 'mfa' ? <KeyRound size={18} /> : <CheckCircle2 size={18} />} {submitLabel}
+                </button>
+              </form>
+              {mode === 'login' && (ssoEnabled || SAML_ENABLED) && (
+                <div className="mt-6 space-y-2">
+                  <div className="flex items-center gap-3 text-xs text-white/50"><div className="h-px flex-1 bg-white/20"/> or <div className="h-px flex-1 bg-white/20"/></div>
+                  {ssoEnabled && (
+                    <button type="button" disabled={loading} onClick={()=>run(()=>startSso(startOidcLogin))} className="w-full py-2.5 rounded-xl bg-white/10 border border-white/20 hover:bg-white/20 transition flex items-center justify-center gap-2"><LogIn size={18}/> Continue with SSO</button>
+                  )}
+                  {SAML_ENABLED && (
+                    <button type="button" disabled={loading} onClick={()=>startSso(startSamlLogin)} className="w-full py-2.5 rounded-xl bg-white/10 border border-white/20 hover:bg-white/20 transition flex items-center justify-center gap-2"><LogIn size={18}/> Sign in with SAML</button>
+                  )}
+                </div>
+              )}
+            </>
+          )}
         </motion.div>
       </div>
     </div>
   )
 }
 
-function Header({ onToggleSidebar, collapsed, onLogout, dark, setDark }) {
-  const [open, setOpen] = useState(false)
-  const [workspace, setWorkspace] = useState('Default Workspace')
+function NameDialog({ dialog, onOpenChange }) {
+  const [name, setName] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
 
   useEffect(() => {
-    function onKey(e){
-      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
-        e.preventDefault()
-        setOpen(true)
-      }
+    setName(dialog?.initial || '')
+    setError('')
+  }, [dialog])
+
+  async function submit(e) {
+    e.preventDefault()
+    if (!name.trim()) return
+    setBusy(true)
+    try {
+      await dialog.onSubmit(name.trim())
+      onOpenChange(false)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
     }
-    window.addEventListener('keydown', onKey)
-    return () => window.removeEventListener('keydown', onKey)
-  }, [])
+  }
 
   return (
-    <div className="sticky top-0 z-30 bg-white/70 dark:bg-slate-900/70 backdrop-blur-xl border-b border-slate-200 dark:border-slate-800">
-      <div className="px-4 md:px-6 py-3 flex items-center justify-between">
-        <div className="flex items-center gap-2">
-          <button aria-label="Toggle sidebar" onClick={onToggleSidebar} className="p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800">
-            {collapsed ? <ChevronRight size={18}/> : <ChevronLeft size={18}/>}  
-          </button>
-          <DropdownMenu.Root>
-            <DropdownMenu.Trigger asChild>
-              <button className="px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-2">
-                <Folder size={16}/> <span className="hidden sm:inline">{workspace}</span>
-              </button>
-            </DropdownMenu.Trigger>
-            <DropdownMenu.Content className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl p-2 shadow-xl">
-              {['Default Workspace','Compliance','M&A','Litigation'].map(w => (
-                <DropdownMenu.Item key={w} onSelect={()=>setWorkspace(w)} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
-                  <div className="flex items-center gap-2"><Folder size={16}/> {w}</div>
+    <Dialog.Root open={!!dialog} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content aria-describedby={undefined} className="fixed z-50 left-1/2 top-24 -translate-x-1/2 w-[90vw] max-w-sm rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl p-4">
+          <Dialog.Title className="font-medium mb-3">{dialog?.title}</Dialog.Title>
+          <form onSubmit={submit} className="space-y-3">
+            <input autoFocus value={name} onChange={e=>setName(e.target.value)} placeholder={dialog?.placeholder} className="w-full border rounded-xl px-3 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" />
+            {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {error}</div>}
+            <div className="flex justify-end gap-2">
+              <Dialog.Close className="px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-700 text-sm">Cancel</Dialog.Close>
+              <button disabled={busy || !name.trim()} className="px-4 py-2 rounded-xl bg-primary text-white text-sm inline-flex items-center gap-2">{busy && <Loader2 size={14} className="animate-spin"/>} Save</button>
+            </div>
+          </form>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+// Workspace membership: invite by email and assign one of ROLES
+function MembersDialog({ token, workspace, open, onOpenChange }) {
+  const [members, setMembers] = useState([])
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('associate')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const base = `/api/workspaces/${workspace?.id}/members`
+
+  async function run(fn) {
+    setBusy(true)
+    setError('')
+    try {
+      await fn()
+      const res = await api(base, { token })
+      setMembers(res.members || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  useEffect(() => { if (open && workspace) run(async () => {}) }, [open, workspace?.id])
+
+  function invite(e) {
+    e.preventDefault()
+    if (!email.trim()) return
+    run(async () => {
+      await api(base, { token, method: 'POST', body: { email: email.trim(), role } })
+      setEmail('')
+    })
+  }
+
+  return (
+    <Dialog.Root open={open} onOpenChange={onOpenChange}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content aria-describedby={undefined} className="fixed z-50 left-1/2 top-24 -translate-x-1/2 w-[90vw] max-w-lg rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl p-4">
+          <Dialog.Title className="font-medium mb-3">Members of {workspace?.name}</Dialog.Title>
+          <form onSubmit={invite} className="flex gap-2 mb-3">
+            <input type="email" value={email} onChange={e=>setEmail(e.target.value)} placeholder="name@firm.com" className="flex-1 min-w-0 border rounded-xl px-3 py-2 text-sm bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" />
+            <select value={role} onChange={e=>setRole(e.target.value)} aria-label="Role" className="border rounded-xl px-2 py-2 text-sm bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+              {Object.entries(ROLES).map(([k, r]) => <option key={k} value={k}>{r.label}</option>)}
+            </select>
+            <button disabled={busy || !email.trim()} className="px-3 py-2 rounded-xl bg-primary text-white text-sm inline-flex items-center gap-1"><UserPlus size={14}/> Invite</button>
+          </form>
+          {error && <div className="flex items-center gap-2 text-sm text-red-600 mb-2"><AlertTriangle size={16}/> {error}</div>}
+          <div className="max-h-80 overflow-auto divide-y divide-slate-100 dark:divide-slate-800">
+            {members.map(m => (
+              <div key={m.user_id} className="flex items-center gap-2 py-2 text-sm">
+                <div className="min-w-0 flex-1">
+                  <div className="truncate">{m.name || m.email}{m.pending && <span className="ml-1 text-xs text-slate-400">(invited)</span>}</div>
+                  {m.name && <div className="text-xs text-slate-500 truncate">{m.email}</div>}
+                </div>
+                <select value={m.role} disabled={busy} onChange={e=>run(() => api(`${base}/${m.user_id}`, { token, method: 'PATCH', body: { role: e.target.value } }))} aria-label={`Role for ${m.email}`} className="border rounded-lg px-1.5 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                  {Object.entries(ROLES).map(([k, r]) => <option key={k} value={k}>{r.label}</option>)}
+                </select>
+                <button disabled={busy} onClick={()=>{ if (window.confirm(`Remove ${m.email} from ${workspace.name}?`)) run(() => api(`${base}/${m.user_id}`, { token, method: 'DELETE' })) }} aria-label={`Remove ${m.email}`} className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800"><Trash2 size={14}/></button>
+              </div>
+            ))}
+            {!members.length && !busy && <div className="py-2 text-sm text-slate-500">No members yet.</div>}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+// Document-level sharing with users or groups from the directory
+function ShareDialog({ token, doc, workspaceId, onClose }) {
+  const [shares, setShares] = useState([])
+  const [query, setQuery] = useState('')
+  const [matches, setMatches] = useState({ users: [], groups: [] })
+  const [access, setAccess] = useState('view')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  const base = `/api/documents/${doc?.id}/shares`
+
+  async function run(fn) {
+    setBusy(true)
+    setError('')
+    try {
+      await fn()
+      const res = await api(base, { token })
+      setShares(res.shares || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  useEffect(() => { if (doc) run(async () => {}) }, [doc?.id])
+  useEffect(() => {
+    if (query.trim().length < 2) { setMatches({ users: [], groups: [] }); return }
+    const ctrl = new AbortController()
+    const t = setTimeout(() => {
+      api(`/api/directory${qs({ q: query.trim(), workspace_id: workspaceId })}`, { token, signal: ctrl.signal })
+        .then(res => setMatches({ users: res.users || [], groups: res.groups || [] }))
+        .catch(() => {})
+    }, 250)
+    return () => { clearTimeout(t); ctrl.abort() }
+  }, [query])
+
+  function add(principal_type, principal) {
+    setQuery('')
+    run(() => api(base, { token, method: 'POST', body: { principal_type, principal_id: principal.id, access } }))
+  }
+
+  const shared = (type, id) => shares.some(s => s.principal_type === type && s.principal_id === id)
+  const candidates = [
+    ...matches.users.filter(u => !shared('user', u.id)).map(u => ({ type: 'user', p: u, label: u.name || u.email, hint: u.name ? u.email : '' })),
+    ...matches.groups.filter(g => !shared('group', g.id)).map(g => ({ type: 'group', p: g, label: g.name, hint: g.member_count != null ? `${g.member_count} members` : 'Group' })),
+  ]
+
+  return (
+    <Dialog.Root open={!!doc} onOpenChange={(o)=>{ if(!o) onClose() }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content aria-describedby={undefined} className="fixed z-50 left-1/2 top-24 -translate-x-1/2 w-[90vw] max-w-lg rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl p-4">
+          <Dialog.Title className="font-medium mb-3 truncate">Share “{doc?.filename}”</Dialog.Title>
+          <div className="relative flex gap-2 mb-3">
+            <input autoFocus value={query} onChange={e=>setQuery(e.target.value)} placeholder="Add people or groups" className="flex-1 min-w-0 border rounded-xl px-3 py-2 text-sm bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" />
+            <select value={access} onChange={e=>setAccess(e.target.value)} aria-label="Access" className="border rounded-xl px-2 py-2 text-sm bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+              {Object.entries(SHARE_ACCESS).map(([k, a]) => <option key={k} value={k}>{a.label}</option>)}
+            </select>
+            {!!candidates.length && (
+              <div className="absolute z-10 left-0 right-0 top-full mt-1 max-h-56 overflow-auto rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 shadow-xl p-1">
+                {candidates.map(c => (
+                  <button key={`${c.type}-${c.p.id}`} onClick={()=>add(c.type, c.p)} className="w-full text-left px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 flex items-center gap-2 text-sm">
+                    {c.type === 'group' ? <Users size={14}/> : <UserPlus size={14}/>}
+                    <span className="truncate">{c.label}</span>
+                    {c.hint && <span className="ml-auto text-xs text-slate-400 truncate">{c.hint}</span>}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+          {error && <div className="flex items-center gap-2 text-sm text-red-600 mb-2"><AlertTriangle size={16}/> {error}</div>}
+          <div className="max-h-72 overflow-auto divide-y divide-slate-100 dark:divide-slate-800">
+            {shares.map(s => (
+              <div key={s.id} className="flex items-center gap-2 py-2 text-sm">
+                {s.principal_type === 'group' ? <Users size={14} className="text-slate-400"/> : <User size={14} className="text-slate-400"/>}
+                <span className="flex-1 min-w-0 truncate">{s.name}</span>
+                <select value={s.access} disabled={busy} onChange={e=>run(() => api(`${base}/${s.id}`, { token, method: 'PATCH', body: { access: e.target.value } }))} aria-label={`Access for ${s.name}`} className="border rounded-lg px-1.5 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                  {Object.entries(SHARE_ACCESS).map(([k, a]) => <option key={k} value={k}>{a.label}</option>)}
+                </select>
+                <button disabled={busy} onClick={()=>run(() => api(`${base}/${s.id}`, { token, method: 'DELETE' }))} aria-label={`Stop sharing with ${s.name}`} className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800"><X size={14}/></button>
+              </div>
+            ))}
+            {!shares.length && !busy && <div className="py-2 text-sm text-slate-500">Only workspace members can see this document.</div>}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+
+const NOTIFICATION_TYPES = {
+  'document.ready': { icon: CheckCircle2, tone: 'text-emerald-600' },
+  'document.failed': { icon: AlertTriangle, tone: 'text-red-600' },
+  'document.shared': { icon: Share2, tone: 'text-teal-600' },
+  'comment.created': { icon: MessageSquareText, tone: 'text-sky-600' },
+  'comment.reply': { icon: Reply, tone: 'text-sky-600' },
+  'comment.mention': { icon: AtSign, tone: 'text-primary' },
+  'comparison.completed': { icon: Scale, tone: 'text-primary' },
+}
+
+// In-app route a notification points at; the server may send one, otherwise it's derived from the payload
+function notificationLink(n) {
+  if (n.link?.startsWith('/')) return n.link
+  if (n.comparison) return `${TAB_PATHS.compare}${qs({ left: n.comparison.left_id, right: n.comparison.right_id })}`
+  if (n.document_id) return `${TAB_PATHS.documents}/${n.document_id}${qs({ comment: n.annotation_id })}`
+  return ''
+}
+
+function timeAgo(value) {
+  const s = Math.round((Date.now() - new Date(value)) / 1000)
+  if (!(s >= 0)) return ''
+  if (s < 60) return 'just now'
+  if (s < 3600) return `${Math.floor(s / 60)}m ago`
+  if (s < 86400) return `${Math.floor(s / 3600)}h ago`
+  return new Date(value).toLocaleDateString()
+}
+
+function NotificationBell({ notifications }) {
+  const navigate = useNavigate()
+  const [unreadOnly, setUnreadOnly] = useState(false)
+  const { items, unread, error, reload, markRead, markAllRead } = notifications
+  const shown = unreadOnly ? items.filter(n => !n.read) : items
+
+  function open(n) {
+    markRead([n.id])
+    const link = notificationLink(n)
+    if (link) navigate(link)
+  }
+
+  return (
+    <DropdownMenu.Root>
+      <DropdownMenu.Trigger asChild>
+        <button aria-label={unread ? `Notifications, ${unread} unread` : 'Notifications'} className="relative p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800">
+          <Bell size={18}/>
+          {unread > 0 && <span className="absolute top-0.5 right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 rounded-full bg-red-600 text-white text-[10px] leading-[1.1rem] text-center">{unread > 99 ? '99+' : unread}</span>}
+        </button>
+      </DropdownMenu.Trigger>
+      <DropdownMenu.Content align="end" sideOffset={6} className="z-40 w-96 max-w-[90vw] bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl p-2 shadow-xl">
+        <div className="flex items-center gap-2 px-2 pb-2">
+          <span className="font-medium text-sm">Notifications</span>
+          <button onClick={()=>setUnreadOnly(u => !u)} className="text-xs px-2 py-0.5 rounded-lg border border-slate-200 dark:border-slate-700">{unreadOnly ? 'Show all' : 'Unread only'}</button>
+          <button disabled={!unread} onClick={markAllRead} className="ml-auto text-xs inline-flex items-center gap-1 text-primary disabled:text-slate-400"><CheckCheck size={14}/> Mark all read</button>
+        </div>
+        {error && (
+          <div role="alert" className="mx-2 mb-2 flex items-center gap-2 text-xs text-red-600">
+            <AlertTriangle size={14} className="shrink-0"/> <span className="flex-1 min-w-0">{error}</span>
+            <button onClick={reload} className="shrink-0 text-primary hover:underline">Retry</button>
+          </div>
+        )}
+        <div className="max-h-96 overflow-auto">
+          {!shown.length && !error && <div className="px-2 py-6 text-center text-sm text-slate-500">{unreadOnly ? "You're all caught up." : 'No notifications yet.'}</div>}
+          {shown.map(n => {
+            const type = NOTIFICATION_TYPES[n.type] || { icon: Info, tone: 'text-slate-500' }
+            return (
+              <DropdownMenu.Item key={n.id} onSelect={()=>open(n)} className="px-2 py-2 rounded-lg outline-none hover:bg-slate-100 dark:hover:bg-slate-800 focus:bg-slate-100 dark:focus:bg-slate-800 cursor-pointer flex items-start gap-2">
+                <type.icon size={16} className={`mt-0.5 shrink-0 ${type.tone}`}/>
+                <div className="flex-1 min-w-0">
+                  <div className={`text-sm truncate ${n.read ? 'text-slate-600 dark:text-slate-300' : 'font-medium'}`}>{n.title}</div>
+                  {n.body && <div className="text-xs text-slate-500 line-clamp-2">{n.body}</div>}
+                  <div className="text-[11px] text-slate-400 mt-0.5">{timeAgo(n.created_at)}</div>
+                </div>
+                {!n.read && <span className="mt-1.5 w-2 h-2 rounded-full bg-primary shrink-0" aria-label="Unread"/>}
+              </DropdownMenu.Item>
+            )
+          })}
+        </div>
+      </DropdownMenu.Content>
+    </DropdownMenu.Root>
+  )
+}
+
+function Header({ token, user, role, can, notifications, onToggleSidebar, collapsed, onLogout, dark, setDark, onCommand, onAsk, onOpenDocument, workspaces, onWorkspaceError }) {
+  const [open, setOpen] = useState(false)
+  const [nameDialog, setNameDialog] = useState(null)
+  const [membersOpen, setMembersOpen] = useState(false)
+  const current = workspaces.current
+  // Anyone may create their first workspace; after that it takes workspace.create
+  const canCreate = can('workspace.create') || (workspaces.loaded && !workspaces.workspaces.length)
+
+  useEffect(() => {
+    function onKey(e){
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault()
+        setOpen(true)
+      }
+    }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [])
+
+  async function archiveCurrent() {
+    if (!current || !window.confirm(`Archive “${current.name}”? Its documents stay on the server but it will no longer be listed.`)) return
+    try {
+      await workspaces.archive(current.id)
+    } catch (err) {
+      onWorkspaceError?.(err)
+    }
+  }
+
+  return (
+    <div className="sticky top-0 z-30 bg-white/70 dark:bg-slate-900/70 backdrop-blur-xl border-b border-slate-200 dark:border-slate-800">
+      <div className="px-4 md:px-6 py-3 flex items-center justify-between">
+        <div className="flex items-center gap-2">
+          <button aria-label="Toggle sidebar" onClick={onToggleSidebar} className="p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800">
+            {collapsed ? <ChevronRight size={18}/> : <ChevronLeft size={18}/>}  
+          </button>
+          <DropdownMenu.Root>
+            <DropdownMenu.Trigger asChild>
+              <button className="px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-2">
+                <Folder size={16}/> <span className="hidden sm:inline">{current?.name || (workspaces.error ? 'Workspaces unavailable' : workspaces.loaded ? 'No workspace' : 'Loading…')}</span>
+              </button>
+            </DropdownMenu.Trigger>
+            <DropdownMenu.Content className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl p-2 shadow-xl">
+              {workspaces.error && (
+                <DropdownMenu.Item onSelect={workspaces.reload} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
+                  <div className="flex items-center gap-2 text-red-600"><RotateCcw size={16}/> Retry loading workspaces</div>
+                </DropdownMenu.Item>
+              )}
+              {workspaces.workspaces.map(w => (
+                <DropdownMenu.Item key={w.id} onSelect={()=>workspaces.select(w.id)} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
+                  <div className="flex items-center gap-2"><Folder size={16}/> {w.name}{w.id===current?.id && <CheckCircle2 size={14} className="ml-auto text-primary"/>}</div>
                 </DropdownMenu.Item>
               ))}
-              <DropdownMenu.Separator className="h-px bg-slate-200 dark:bg-slate-700 my-2"/>
-              <DropdownMenu.Item onSelect={()=>setWorkspace('New Workspace')} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
-                <div className="flex items-center gap-2"><FolderPlus size={16}/> New Workspace</div>
-              </DropdownMenu.Item>
+              {(canCreate || (current && (can('workspace.members') || can('workspace.manage')))) && (
+                <DropdownMenu.Separator className="h-px bg-slate-200 dark:bg-slate-700 my-2"/>
+              )}
+              {canCreate && (
+                <DropdownMenu.Item onSelect={()=>setNameDialog({ title: 'New workspace', placeholder: 'Workspace name', initial: '', onSubmit: workspaces.create })} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
+                  <div className="flex items-center gap-2"><FolderPlus size={16}/> New Workspace</div>
+                </DropdownMenu.Item>
+              )}
+              {current && can('workspace.members') && (
+                <DropdownMenu.Item onSelect={()=>setMembersOpen(true)} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
+                  <div className="flex items-center gap-2"><Users size={16}/> Members…</div>
+                </DropdownMenu.Item>
+              )}
+              {current && can('workspace.manage') && (
+                <>
+                  <DropdownMenu.Item onSelect={()=>setNameDialog({ title: 'Rename workspace', placeholder: 'Workspace name', initial: current.name, onSubmit: (name) => workspaces.rename(current.id, name) })} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">
+                    <div className="flex items-center gap-2"><Pencil size={16}/> Rename…</div>
+                  </DropdownMenu.Item>
+                  <DropdownMenu.Item onSelect={archiveCurrent} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer text-red-600">
+                    <div className="flex items-center gap-2"><Archive size={16}/> Archive</div>
+                  </DropdownMenu.Item>
+                </>
+              )}
             </DropdownMenu.Content>
           </DropdownMenu.Root>
+          <NameDialog dialog={nameDialog} onOpenChange={(o)=>{ if(!o) setNameDialog(null) }} />
+          <MembersDialog token={token} workspace={current} open={membersOpen} onOpenChange={setMembersOpen} />
         </div>
 
         <div className="hidden md:flex items-center gap-2">
@@ -243,6 +1421,7 @@ function Header({ onToggleSidebar, collapsed, onLogout, dark, setDark }) {
         </div>
 
         <div className="flex items-center gap-2">
+          <NotificationBell notifications={notifications} />
           <button onClick={() => setDark(!dark)} aria-label="Toggle theme" className="p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800">
             {dark ? <Sun size={18}/> : <Moon size={18}/>}
           </button>
@@ -250,7 +1429,10 @@ function Header({ onToggleSidebar, collapsed, onLogout, dark, setDark }) {
             <DropdownMenu.Trigger asChild>
               <button className="px-2 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-2">
                 <div className="w-7 h-7 rounded-full bg-gradient-to-br from-primary to-blue-400"/>
-                <span className="hidden sm:inline text-sm">Partner</span>
+                <span className="hidden sm:flex flex-col items-start leading-tight">
+                  <span className="text-sm">{user?.name || user?.email || 'Account'}</span>
+                  <span className="text-[11px] text-slate-500">{ROLES[role]?.label || 'No role'}</span>
+                </span>
               </button>
             </DropdownMenu.Trigger>
             <DropdownMenu.Content className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl p-2 shadow-xl">
@@ -262,20 +1444,49 @@ function Header({ onToggleSidebar, collapsed, onLogout, dark, setDark }) {
           </DropdownMenu.Root>
         </div>
       </div>
-      <CommandPalette open={open} setOpen={setOpen} />
+      <CommandPalette open={open} setOpen={setOpen} onCommand={onCommand} onAsk={onAsk} onOpenDocument={onOpenDocument} token={token} workspaceId={workspaces.current?.id} can={can} />
     </div>
   )
 }
 
-function Sidebar({ collapsed, tab, setTab }) {
+// Permission needed to open each sidebar section; the dashboard and documents are open to every role
+const TAB_PERMISSIONS = {
+  upload: 'documents.upload',
+  compare: 'ai.analyze',
+  chat: 'ai.chat',
+  risk: 'ai.analyze',
+  playbook: 'playbook.view',
+  analytics: 'analytics.view',
+}
+
+// Sidebar sections are top-level routes; documents, comparisons and chat threads deep-link below them
+const TAB_PATHS = {
+  dashboard: '/',
+  upload: '/upload',
+  documents: '/documents',
+  compare: '/compare',
+  chat: '/chat',
+  risk: '/risk',
+  playbook: '/playbook',
+  analytics: '/analytics',
+}
+
+function tabFromPath(pathname) {
+  const section = pathname.split('/')[1] || 'dashboard'
+  return section in TAB_PATHS ? section : ''
+}
+
+function Sidebar({ collapsed, tab, paths = TAB_PATHS, can }) {
   const items = [
     { id: 'dashboard', label: 'Dashboard', icon: Home },
     { id: 'upload', label: 'Upload', icon: UploadIcon },
     { id: 'documents', label: 'Documents', icon: FileText },
     { id: 'compare', label: 'Compare', icon: Scale },
     { id: 'chat', label: 'Chat', icon: MessageSquare },
+    { id: 'risk', label: 'Risk', icon: ShieldAlert },
+    { id: 'playbook', label: 'Playbook', icon: Library },
     { id: 'analytics', label: 'Analytics', icon: BarChart3 }
-  ]
+  ].filter(it => !TAB_PERMISSIONS[it.id] || can(TAB_PERMISSIONS[it.id]))
   return (
     <div className={`h-screen sticky top-0 border-r border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 ${collapsed ? 'w-16' : 'w-64'} transition-[width] duration-300`}> 
       <div className="p-3 flex items-center gap-2">
@@ -284,10 +1495,10 @@ function Sidebar({ collapsed, tab, setTab }) {
       </div>
       <nav className="px-2 space-y-1">
         {items.map((it) => (
-          <button key={it.id} onClick={()=>setTab(it.id)} className={`w-full group flex items-center gap-3 px-3 py-2 rounded-xl text-slate-700 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-900 ${tab===it.id ? 'bg-slate-100 dark:bg-slate-900 text-slate-900 dark:text-white' : ''}`} title={collapsed ? it.label : undefined}>
+          <Link key={it.id} to={paths[it.id]} aria-current={tab===it.id ? 'page' : undefined} className={`w-full group flex items-center gap-3 px-3 py-2 rounded-xl text-slate-700 dark:text-slate-300 hover:bg-slate-100 dark:hover:bg-slate-900 ${tab===it.id ? 'bg-slate-100 dark:bg-slate-900 text-slate-900 dark:text-white' : ''}`} title={collapsed ? it.label : undefined}>
             <it.icon className="shrink-0" size={18}/>
             {!collapsed && <span>{it.label}</span>}
-          </button>
+          </Link>
         ))}
       </nav>
     </div>
@@ -304,229 +1515,3232 @@ function StatCard({ title, value, hint, accent='primary' }) {
   )
 }
 
-function DashboardOverview({ docs }) {
-  const data = useMemo(() => ([
-    { name: 'Mon', value: 3 },
-    { name: 'Tue', value: 6 },
-    { name: 'Wed', value: 4 },
-    { name: 'Thu', value: 8 },
-    { name: 'Fri', value: 7 },
-  ]), [])
-  const pie = useMemo(() => ([
-    { name: 'Contracts', value: 10 },
-    { name: 'Policies', value: 6 },
-    { name: 'Pleadings', value: 4 },
-  ]), [])
-  const colors = ['#2563eb','#0d9488','#94a3b8']
+const RANGE_PRESETS = [
+  { k: '7d', label: 'Last 7 days', days: 7 },
+  { k: '30d', label: 'Last 30 days', days: 30 },
+  { k: '90d', label: 'Last 90 days', days: 90 },
+  { k: 'custom', label: 'Custom' },
+]
+const CHART_COLORS = ['#2563eb', '#0d9488', '#94a3b8', '#f59e0b', '#a855f7', '#ef4444']
+const CHART_TOOLTIP = { background: '#0f172a', border: '1px solid #1e293b', color: 'white' }
+
+// Local calendar date as YYYY-MM-DD
+function isoDay(d) {
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 10)
+}
+
+function dateRange(preset, from, to) {
+  const p = RANGE_PRESETS.find(r => r.k === preset)
+  if (!p?.days) return { from, to }
+  const start = new Date()
+  start.setDate(start.getDate() - (p.days - 1))
+  return { from: isoDay(start), to: isoDay(new Date()) }
+}
+
+function shortDay(value) {
+  const d = new Date(`${value}T00:00:00`)
+  return isNaN(d) ? value : d.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+}
+
+function DateRangeControl({ range, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      <select value={range.preset} onChange={e=>onChange({ ...range, ...dateRange(e.target.value, range.from, range.to), preset: e.target.value })} className="border rounded-lg px-2 py-1.5 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" aria-label="Date range">
+        {RANGE_PRESETS.map(r => <option key={r.k} value={r.k}>{r.label}</option>)}
+      </select>
+      {range.preset === 'custom' && (
+        <>
+          <input type="date" value={range.from} max={range.to || undefined} onChange={e=>onChange({ ...range, from: e.target.value })} className="border rounded-lg px-2 py-1 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" aria-label="From" />
+          <span className="text-slate-400">–</span>
+          <input type="date" value={range.to} min={range.from || undefined} onChange={e=>onChange({ ...range, to: e.target.value })} className="border rounded-lg px-2 py-1 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" aria-label="To" />
+        </>
+      )}
+    </div>
+  )
+}
+
+// Date range + workspace scope shared by the dashboard and the analytics tab; refetches `path` when either changes.
+function useAnalytics(token, path, workspaceId) {
+  const [range, setRange] = useState(() => ({ preset: '7d', ...dateRange('7d') }))
+  const [scope, setScope] = useState(workspaceId)
+  const [state, setState] = useState({ data: null, loading: true, error: '' })
+  const [reload, setReload] = useState(0)
+  const params = { workspace_id: scope === 'all' ? '' : scope, from: range.from, to: range.to }
+
+  useEffect(() => { setScope(workspaceId) }, [workspaceId])
+  useEffect(() => {
+    if (!range.from || !range.to) return
+    let cancelled = false
+    setState(s => ({ ...s, loading: true, error: '' }))
+    api(`${path}${qs(params)}`, { token })
+      .then(data => { if (!cancelled) setState({ data, loading: false, error: '' }) })
+      .catch(err => { if (!cancelled) setState({ data: null, loading: false, error: err.message }) })
+    return () => { cancelled = true }
+  }, [token, path, scope, range.from, range.to, reload])
+
+  return { ...state, range, setRange, scope, setScope, params, retry: () => setReload(n => n + 1) }
+}
+
+function AnalyticsFilters({ analytics, workspaces, can, children }) {
+  return (
+    <>
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <DateRangeControl range={analytics.range} onChange={analytics.setRange} />
+        <div className="flex items-center gap-2">
+          {children}
+          <select value={analytics.scope} onChange={e=>analytics.setScope(e.target.value)} className="border rounded-lg px-2 py-1.5 text-sm bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" aria-label="Workspace">
+            {can('workspace.manage') && <option value="all">All workspaces</option>}
+            {workspaces.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+          </select>
+        </div>
+      </div>
+      {analytics.error && (
+        <div className="flex items-center justify-between gap-3 rounded-xl border border-red-200 dark:border-red-900 bg-red-50 dark:bg-red-950/30 px-4 py-3 text-sm text-red-700 dark:text-red-300">
+          <span>Could not load analytics: {analytics.error}</span>
+          <button onClick={analytics.retry} className="inline-flex items-center gap-1 font-medium"><RotateCcw size={14}/> Retry</button>
+        </div>
+      )}
+    </>
+  )
+}
+
+function ChartCard({ title, loading, empty, actions, children }) {
+  return (
+    <div className="rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 p-4">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <div className="text-sm font-semibold">{title}</div>
+        {actions}
+      </div>
+      <div className="h-48">
+        {loading ? (
+          <div className="h-full animate-pulse rounded-lg bg-slate-100 dark:bg-slate-900"/>
+        ) : empty ? (
+          <div className="h-full grid place-content-center text-sm text-slate-500">No data for this period</div>
+        ) : (
+          <ResponsiveContainer width="100%" height="100%">{children}</ResponsiveContainer>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Backed by /api/analytics/overview: { totals, usage: [{ date, queries, documents }], confidence: [{ date, value }], doc_types: [{ name, value }], activity }
+function DashboardOverview({ token, workspaces, workspaceId, can }) {
+  const analytics = useAnalytics(token, '/api/analytics/overview', workspaceId)
+  const { data, loading } = analytics
+  const totals = data?.totals || {}
+  const usage = data?.usage || []
+  const confidence = (data?.confidence || []).filter(p => typeof p.value === 'number')
+  const types = (data?.doc_types || []).filter(t => t.value > 0)
+  const activity = data?.activity || []
+  const stat = (v, fmt = (x) => x) => loading ? '…' : v == null ? '—' : fmt(v)
 
   return (
     <div className="space-y-6">
-      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
-        <StatCard title="Documents Processed" value={docs.length} hint="All-time" />
-        <StatCard title="AI Queries" value={Math.max(12, docs.length*2)} hint="Last 7 days" />
-        <StatCard title="Avg Confidence" value={`${(0.82).toFixed(2)}`} hint="Model score" />
-        <StatCard title="Workspace Count" value={3} hint="Active" />
+      <AnalyticsFilters analytics={analytics} workspaces={workspaces} can={can} />
+      <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+        <StatCard title="Documents Processed" value={stat(totals.documents)} hint="In selected range" />
+        <StatCard title="AI Queries" value={stat(totals.queries)} hint="In selected range" />
+        <StatCard title="Avg Confidence" value={stat(totals.avg_confidence, v => v.toFixed(2))} hint="Model score" />
+        <StatCard title="Workspace Count" value={workspaces.length} hint="Active" />
+        <StatCard title="Avg Risk Score" value={stat(totals.avg_risk, Math.round)} hint={totals.assessed ? `${totals.assessed} assessed` : 'No assessments yet'} />
       </div>
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-        <div className="rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 p-4">
-          <div className="text-sm font-semibold mb-2">AI Usage</div>
-          <div className="h-48">
-            <ResponsiveContainer width="100%" height="100%">
-              <BarChart data={data}>
-                <XAxis dataKey="name" tick={{ fill: 'currentColor' }} />
-                <YAxis tick={{ fill: 'currentColor' }} />
-                <Tooltip contentStyle={{ background: '#0f172a', border: '1px solid #1e293b', color: 'white' }} />
-                <Bar dataKey="value" fill="#2563eb" radius={[6,6,0,0]} />
-              </BarChart>
-            </ResponsiveContainer>
+        <ChartCard title="AI Usage" loading={loading} empty={!usage.some(p => p.queries)}>
+          <BarChart data={usage}>
+            <XAxis dataKey="date" tickFormatter={shortDay} tick={{ fill: 'currentColor' }} />
+            <YAxis allowDecimals={false} tick={{ fill: 'currentColor' }} />
+            <Tooltip labelFormatter={shortDay} contentStyle={CHART_TOOLTIP} />
+            <Bar dataKey="queries" name="Queries" fill="#2563eb" radius={[6,6,0,0]} />
+          </BarChart>
+        </ChartCard>
+        <ChartCard title="Confidence Trend" loading={loading} empty={!confidence.length}>
+          <LineChartR data={confidence}>
+            <XAxis dataKey="date" tickFormatter={shortDay} tick={{ fill: 'currentColor' }} />
+            <YAxis domain={[0,1]} tick={{ fill: 'currentColor' }} />
+            <Tooltip labelFormatter={shortDay} formatter={(v)=>v.toFixed(2)} contentStyle={CHART_TOOLTIP} />
+            <Line type="monotone" dataKey="value" name="Avg confidence" stroke="#0d9488" strokeWidth={2} dot={false} />
+          </LineChartR>
+        </ChartCard>
+        <ChartCard title="Document Types" loading={loading} empty={!types.length}>
+          <PieChartR>
+            <Pie data={types} dataKey="value" nameKey="name" innerRadius={40} outerRadius={60} paddingAngle={6}>
+              {types.map((entry, index) => (
+                <Cell key={`c-${index}`} fill={CHART_COLORS[index % CHART_COLORS.length]} />
+              ))}
+            </Pie>
+            <Tooltip contentStyle={CHART_TOOLTIP} />
+          </PieChartR>
+        </ChartCard>
+      </div>
+      <div className="rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 p-4">
+        <div className="text-sm font-semibold mb-3">AI Activity Timeline</div>
+        {loading ? (
+          <div className="space-y-3">{[0,1,2].map(i => <div key={i} className="h-4 w-2/3 animate-pulse rounded bg-slate-100 dark:bg-slate-900"/>)}</div>
+        ) : activity.length === 0 ? (
+          <div className="text-sm text-slate-500">No activity in this period.</div>
+        ) : (
+          <div className="space-y-3">
+            {activity.map((a, i)=> (
+              <motion.div key={a.id || i} initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: Math.min(i, 10)*0.05 }} className="flex items-center gap-3">
+                <div className="w-2 h-2 rounded-full bg-primary shrink-0"/>
+                <div className="text-sm text-slate-600 dark:text-slate-300 flex-1 min-w-0 truncate">{a.message}{a.user && <span className="text-slate-400"> — {a.user}</span>}</div>
+                {a.at && <div className="text-xs text-slate-400 shrink-0">{new Date(a.at).toLocaleString()}</div>}
+              </motion.div>
+            ))}
           </div>
-        </div>
-        <div className="rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 p-4">
-          <div className="text-sm font-semibold mb-2">Accuracy Trend</div>
-          <div className="h-48">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChartR data={data}>
-                <XAxis dataKey="name" tick={{ fill: 'currentColor' }} />
-                <YAxis domain={[0,10]} tick={{ fill: 'currentColor' }} />
-                <Tooltip contentStyle={{ background: '#0f172a', border: '1px solid #1e293b', color: 'white' }} />
-                <Line type="monotone" dataKey="value" stroke="#0d9488" strokeWidth={2} dot={false} />
-              </LineChartR>
-            </ResponsiveContainer>
+        )}
+      </div>
+    </div>
+  )
+}
+
+// Datasets returned by /api/analytics/report, keyed by `k`. `x` is the category column; `drillKey` overrides the value sent for drill-down.
+const ANALYTICS_DATASETS = [
+  { k: 'by_user', title: 'Usage by user', chart: 'bar', x: ['user', 'User'], series: [['queries', 'Queries'], ['documents', 'Documents'], ['comparisons', 'Comparisons']] },
+  { k: 'by_workspace', title: 'Usage by workspace', chart: 'bar', x: ['workspace', 'Workspace'], drillKey: 'workspace_id', series: [['queries', 'Queries'], ['documents', 'Documents']] },
+  { k: 'processed', title: 'Documents processed', chart: 'line', x: ['date', 'Date'], series: [['documents', 'Documents']] },
+  { k: 'queries', title: 'Query volume', chart: 'line', x: ['date', 'Date'], series: [['queries', 'Queries']] },
+  { k: 'confidence', title: 'Average model confidence', chart: 'line', x: ['date', 'Date'], series: [['value', 'Avg confidence']], domain: [0, 1] },
+  { k: 'risk', title: 'Risk distribution', chart: 'pie', x: ['level', 'Risk level'], series: [['count', 'Documents']] },
+  { k: 'turnaround', title: 'Turnaround time', chart: 'bar', x: ['stage', 'Stage'], series: [['avg_seconds', 'Average (s)'], ['p90_seconds', 'P90 (s)']], duration: true },
+]
+const RISK_COLORS = { high: '#ef4444', medium: '#f59e0b', low: '#22c55e' }
+
+function formatDuration(seconds) {
+  const s = Math.round(seconds || 0)
+  if (s < 60) return `${s}s`
+  if (s < 3600) return `${Math.floor(s / 60)}m ${s % 60}s`
+  return `${Math.floor(s / 3600)}h ${Math.round((s % 3600) / 60)}m`
+}
+
+function datasetColumns(ds) {
+  return [{ k: ds.x[0], label: ds.x[1] }, ...ds.series.map(([k, label]) => ({ k, label }))]
+}
+
+function AnalyticsChart({ ds, rows, onDrill }) {
+  const pick = (e) => { const row = e?.activePayload?.[0]?.payload; if (row) onDrill(row) }
+  const tick = ds.x[0] === 'date' ? shortDay : undefined
+  const format = (v) => ds.duration ? formatDuration(v) : typeof v === 'number' && ds.domain ? v.toFixed(2) : v
+  if (ds.chart === 'pie') {
+    return (
+      <PieChartR>
+        <Pie data={rows} dataKey={ds.series[0][0]} nameKey={ds.x[0]} innerRadius={40} outerRadius={65} paddingAngle={4} onClick={(entry)=>onDrill(entry.payload || entry)} className="cursor-pointer">
+          {rows.map((row, i) => <Cell key={`c-${i}`} fill={RISK_COLORS[row[ds.x[0]]] || CHART_COLORS[i % CHART_COLORS.length]} />)}
+        </Pie>
+        <Tooltip contentStyle={CHART_TOOLTIP} />
+        <Legend />
+      </PieChartR>
+    )
+  }
+  if (ds.chart === 'line') {
+    return (
+      <LineChartR data={rows} onClick={pick} className="cursor-pointer">
+        <XAxis dataKey={ds.x[0]} tickFormatter={tick} tick={{ fill: 'currentColor' }} />
+        <YAxis domain={ds.domain} allowDecimals={!!ds.domain} tick={{ fill: 'currentColor' }} />
+        <Tooltip labelFormatter={tick} formatter={format} contentStyle={CHART_TOOLTIP} />
+        {ds.series.map(([k, label], i) => <Line key={k} type="monotone" dataKey={k} name={label} stroke={CHART_COLORS[(i + 1) % CHART_COLORS.length]} strokeWidth={2} dot={false} activeDot={{ r: 5 }} />)}
+      </LineChartR>
+    )
+  }
+  return (
+    <BarChart data={rows} onClick={pick} className="cursor-pointer">
+      <XAxis dataKey={ds.x[0]} tickFormatter={tick} tick={{ fill: 'currentColor' }} />
+      <YAxis tickFormatter={ds.duration ? formatDuration : undefined} tick={{ fill: 'currentColor' }} />
+      <Tooltip labelFormatter={tick} formatter={format} contentStyle={CHART_TOOLTIP} />
+      {ds.series.length > 1 && <Legend />}
+      {ds.series.map(([k, label], i) => <Bar key={k} dataKey={k} name={label} fill={CHART_COLORS[i % CHART_COLORS.length]} radius={[6,6,0,0]} />)}
+    </BarChart>
+  )
+}
+
+const DRILL_COLUMNS = [
+  { k: 'filename', label: 'Document' },
+  { k: 'workspace', label: 'Workspace' },
+  { k: 'uploaded_by', label: 'Uploaded by' },
+  { k: 'status', label: 'Status' },
+  { k: 'risk_score', label: 'Risk score' },
+  { k: 'created_at', label: 'Uploaded' },
+]
+
+// Lists the documents behind one chart segment via /api/analytics/documents
+function AnalyticsDrillDown({ token, drill, params, onClose, onOpenDocument }) {
+  const [state, setState] = useState({ documents: [], loading: true, error: '' })
+
+  useEffect(() => {
+    if (!drill) return
+    let cancelled = false
+    setState({ documents: [], loading: true, error: '' })
+    api(`/api/analytics/documents${qs({ ...params, dataset: drill.ds.k, key: drill.key })}`, { token })
+      .then(res => { if (!cancelled) setState({ documents: res.documents || [], loading: false, error: '' }) })
+      .catch(err => { if (!cancelled) setState({ documents: [], loading: false, error: err.message }) })
+    return () => { cancelled = true }
+  }, [drill])
+
+  const title = drill ? `${drill.ds.title}: ${drill.ds.x[0] === 'date' ? shortDay(drill.label) : drill.label}` : ''
+  return (
+    <Dialog.Root open={!!drill} onOpenChange={(o)=>{ if(!o) onClose() }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content aria-describedby={undefined} className="fixed z-50 left-1/2 top-16 -translate-x-1/2 w-[94vw] max-w-3xl max-h-[80vh] flex flex-col rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl p-4">
+          <div className="flex items-center justify-between gap-3 mb-3">
+            <Dialog.Title className="font-medium truncate">{title}</Dialog.Title>
+            <div className="flex items-center gap-2">
+              <ExportMenu disabled={!state.documents.length} onExport={(fmt)=>exportTable(fmt, `${title} ${params.from} ${params.to}`, DRILL_COLUMNS, state.documents)} />
+              <Dialog.Close className="p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800" aria-label="Close"><X size={16}/></Dialog.Close>
+            </div>
           </div>
-        </div>
-        <div className="rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 p-4">
-          <div className="text-sm font-semibold mb-2">Workspace Activity</div>
-          <div className="h-48">
-            <ResponsiveContainer width="100%" height="100%">
-              <PieChartR>
-                <Pie data={pie} dataKey="value" nameKey="name" innerRadius={40} outerRadius={60} paddingAngle={6}>
-                  {pie.map((entry, index) => (
-                    <Cell key={`c-${index}`} fill={colors[index % colors.length]} />
+          <div className="overflow-auto">
+            {state.loading ? (
+              <div className="flex items-center gap-2 text-sm text-slate-500"><Loader2 size={14} className="animate-spin"/> Loading documents…</div>
+            ) : state.error ? (
+              <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {state.error}</div>
+            ) : !state.documents.length ? (
+              <div className="text-sm text-slate-500">No documents behind this segment.</div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="text-left text-xs text-slate-500">
+                  <tr>{DRILL_COLUMNS.map(c => <th key={c.k} className="py-1 pr-3 font-medium">{c.label}</th>)}</tr>
+                </thead>
+                <tbody>
+                  {state.documents.map(d => (
+                    <tr key={d.id} className="border-t border-slate-100 dark:border-slate-800">
+                      <td className="py-1.5 pr-3">
+                        <button onClick={()=>{ onClose(); onOpenDocument?.(d.id) }} className="text-primary hover:underline text-left">{d.filename}</button>
+                      </td>
+                      <td className="py-1.5 pr-3">{d.workspace || '—'}</td>
+                      <td className="py-1.5 pr-3">{d.uploaded_by || '—'}</td>
+                      <td className="py-1.5 pr-3">{d.status || '—'}</td>
+                      <td className="py-1.5 pr-3">{d.risk_score ?? '—'}</td>
+                      <td className="py-1.5 pr-3 whitespace-nowrap">{d.created_at ? new Date(d.created_at).toLocaleDateString() : '—'}</td>
+                    </tr>
                   ))}
-                </Pie>
-                <Tooltip contentStyle={{ background: '#0f172a', border: '1px solid #1e293b', color: 'white' }} />
-              </PieChartR>
-            </ResponsiveContainer>
+                </tbody>
+              </table>
+            )}
           </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+function AnalyticsPanel({ token, workspaces, workspaceId, can, onOpenDocument }) {
+  const analytics = useAnalytics(token, '/api/analytics/report', workspaceId)
+  const [drill, setDrill] = useState(null)
+  const { data, loading, params } = analytics
+  const period = `${params.from} to ${params.to}`
+
+  function drillInto(ds, row) {
+    const label = row[ds.x[0]]
+    setDrill({ ds, key: row[ds.drillKey || ds.x[0]] ?? label, label })
+  }
+  async function exportWorkbook() {
+    const sheets = ANALYTICS_DATASETS.map(ds => ({ name: ds.title, columns: datasetColumns(ds), rows: data?.[ds.k] || [] }))
+    downloadBlob(await tableXlsx(sheets), `${slugify(`jurisight analytics ${period}`)}.xlsx`)
+  }
+
+  return (
+    <div className="space-y-6">
+      <AnalyticsFilters analytics={analytics} workspaces={workspaces} can={can}>
+        <WorkbookButton disabled={!data} onExport={exportWorkbook} />
+      </AnalyticsFilters>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+        {ANALYTICS_DATASETS.map(ds => {
+          const rows = data?.[ds.k] || []
+          return (
+            <ChartCard
+              key={ds.k}
+              title={ds.title}
+              loading={loading}
+              empty={!rows.length}
+              actions={<ExportMenu disabled={!rows.length} onExport={(fmt)=>exportTable(fmt, `${ds.title} ${period}`, datasetColumns(ds), rows)} />}
+            >
+              <AnalyticsChart ds={ds} rows={rows} onDrill={(row)=>drillInto(ds, row)} />
+            </ChartCard>
+          )
+        })}
+      </div>
+      <div className="text-xs text-slate-500">Click any bar, point or slice to see the documents behind it.</div>
+      <AnalyticsDrillDown token={token} drill={drill} params={params} onClose={()=>setDrill(null)} onOpenDocument={onOpenDocument} />
+    </div>
+  )
+}
+
+const MAX_UPLOAD_BYTES = 10 * 1024 * 1024
+const MAX_ARCHIVE_BYTES = 200 * 1024 * 1024
+// Caps on what an archive may expand to, so a small zip bomb cannot exhaust memory
+const MAX_EXPANDED_BYTES = 500 * 1024 * 1024
+const MAX_ARCHIVE_DEPTH = 3
+const UPLOAD_CHUNK_BYTES = 2 * 1024 * 1024
+const UPLOAD_CONCURRENCY = 3
+const UPLOAD_KINDS = {
+  pdf: { label: 'PDF', icon: FileText },
+  docx: { label: 'Word', icon: FileText },
+  image: { label: 'Scanned image', icon: ImageUp },
+  email: { label: 'Email', icon: Mail },
+  text: { label: 'Text', icon: FileText },
+  archive: { label: 'ZIP archive', icon: FileArchive },
+}
+// Accepted extensions; `magic` lists the leading-byte signatures a genuine file of that format starts with.
+const ZIP_MAGIC = [0x50, 0x4b, 0x03, 0x04]
+const TIFF_MAGIC = [[0x49, 0x49, 0x2a, 0x00], [0x4d, 0x4d, 0x00, 0x2a]]
+const UPLOAD_FORMATS = {
+  pdf: { kind: 'pdf', mime: 'application/pdf', magic: [[0x25, 0x50, 0x44, 0x46]] },
+  docx: { kind: 'docx', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', magic: [ZIP_MAGIC] },
+  png: { kind: 'image', mime: 'image/png', magic: [[0x89, 0x50, 0x4e, 0x47]] },
+  jpg: { kind: 'image', mime: 'image/jpeg', magic: [[0xff, 0xd8, 0xff]] },
+  jpeg: { kind: 'image', mime: 'image/jpeg', magic: [[0xff, 0xd8, 0xff]] },
+  tif: { kind: 'image', mime: 'image/tiff', magic: TIFF_MAGIC },
+  tiff: { kind: 'image', mime: 'image/tiff', magic: TIFF_MAGIC },
+  eml: { kind: 'email', mime: 'message/rfc822' },
+  msg: { kind: 'email', mime: 'application/vnd.ms-outlook', magic: [[0xd0, 0xcf, 0x11, 0xe0]] },
+  txt: { kind: 'text', mime: 'text/plain' },
+  rtf: { kind: 'text', mime: 'application/rtf', magic: [[0x7b, 0x5c, 0x72, 0x74, 0x66]] },
+  zip: { kind: 'archive', mime: 'application/zip', magic: [ZIP_MAGIC] },
+}
+const UPLOAD_ACCEPT = [...Object.keys(UPLOAD_FORMATS).map(ext => `.${ext}`), ...new Set(Object.values(UPLOAD_FORMATS).map(f => f.mime))].join(',')
+
+function fileExt(name) {
+  return name.includes('.') ? name.split('.').pop().toLowerCase() : ''
+}
+
+function formatBytes(n) {
+  return n >= 1048576 ? `${(n / 1048576).toFixed(1)} MB` : `${Math.max(1, Math.round(n / 1024))} KB`
+}
+
+// Resolves the format from the extension (falling back to the MIME type) and checks it against the file's leading bytes.
+async function detectUpload(file) {
+  const ext = fileExt(file.name)
+  const match = UPLOAD_FORMATS[ext] ? [ext, UPLOAD_FORMATS[ext]] : Object.entries(UPLOAD_FORMATS).find(([, f]) => f.mime === file.type)
+  if (!match) return { kind: '', format: ext, mime: file.type, error: `Unsupported file type${ext ? ` .${ext}` : ''}` }
+  const [format, spec] = match
+  const info = { kind: spec.kind, format, mime: spec.mime, error: '' }
+  if (!file.size) return { ...info, error: 'File is empty' }
+  const limit = spec.kind === 'archive' ? MAX_ARCHIVE_BYTES : MAX_UPLOAD_BYTES
+  if (file.size > limit) return { ...info, error: `File is ${formatBytes(file.size)}; the limit is ${formatBytes(limit)}` }
+  if (spec.magic) {
+    const head = new Uint8Array(await file.slice(0, 8).arrayBuffer())
+    if (!spec.magic.some(sig => sig.every((b, i) => head[i] === b))) return { ...info, error: `Contents don't match the .${format} format` }
+  }
+  return info
+}
+
+// Inflates one ZIP entry, counting the bytes actually produced. Once the output passes `limit` it stops and
+// resolves { over: true, size } instead of a blob, so headers that understate the size cannot slip past.
+function inflateEntry(entry, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    const stream = entry.internalStream('uint8array')
+    stream
+      .on('data', (chunk) => {
+        if (size > limit) return
+        size += chunk.length
+        if (size > limit) {
+          stream.pause()
+          chunks.length = 0
+          resolve({ over: true, size })
+        } else chunks.push(chunk)
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ blob: new Blob(chunks), size }))
+      .resume()
+  })
+}
+
+// Expands a ZIP into { file, path } entries, where path is the folder inside the archive rooted at the archive's name.
+// Entries over the upload limit come back as { file: { name, size }, path, error }; `budget` tracks the bytes
+// expanded so far across nested archives and the whole archive fails once it passes MAX_EXPANDED_BYTES.
+async function unpackArchive(file, parent = '', budget = { bytes: 0 }) {
+  const { default: JSZip } = await import('jszip')
+  const zip = await JSZip.loadAsync(file)
+  const root = [parent, file.name.replace(/\.zip$/i, '')].filter(Boolean).join('/')
+  const out = []
+  for (const entry of Object.values(zip.files)) {
+    if (entry.dir || /(^|\/)__MACOSX\//.test(entry.name)) continue
+    const parts = entry.name.split('/')
+    const name = parts.pop()
+    if (name.startsWith('.') || name === 'Thumbs.db') continue
+    const path = [root, ...parts].join('/')
+    const limit = UPLOAD_FORMATS[fileExt(name)]?.kind === 'archive' ? MAX_ARCHIVE_BYTES : MAX_UPLOAD_BYTES
+    const room = MAX_EXPANDED_BYTES - budget.bytes
+    const { blob, over, size } = await inflateEntry(entry, Math.min(limit, room))
+    if (over) {
+      if (limit > room) throw new Error(`it expands to more than ${formatBytes(MAX_EXPANDED_BYTES)}`)
+      out.push({ file: { name, size }, path, error: `File is over the ${formatBytes(limit)} limit` })
+      continue
+    }
+    budget.bytes += size
+    const type = UPLOAD_FORMATS[fileExt(name)]?.mime || ''
+    out.push({ file: new File([blob], name, { type, lastModified: entry.date?.getTime() }), path })
+  }
+  return out
+}
+
+// Large files go through an upload session so an interrupted transfer resumes from the last acknowledged byte.
+// The session id is kept per file fingerprint, so a retry (or a reload and re-drop) continues the same session.
+async function uploadChunked(file, { token, workspaceId, path, mime, signal, onProgress }) {
+  const key = `js_upload_${path ? `${path}/` : ''}${file.name}_${file.size}_${file.lastModified}`
+  let uploadId = localStorage.getItem(key)
+  let offset = 0
+  if (uploadId) {
+    try {
+      const session = await api(`/api/uploads/${uploadId}`, { token, signal })
+      offset = session.received || 0
+    } catch (err) {
+      if (err.name === 'AbortError') throw err
+      uploadId = null
+    }
+  }
+  if (!uploadId) {
+    const session = await api('/api/uploads', {
+      token,
+      method: 'POST',
+      body: { filename: file.name, size: file.size, content_type: mime || file.type, workspace_id: workspaceId, relative_path: path || undefined },
+      signal,
+    })
+    uploadId = session.upload_id
+    localStorage.setItem(key, uploadId)
+  }
+  onProgress(offset)
+  while (offset < file.size) {
+    const start = offset
+    const end = Math.min(start + UPLOAD_CHUNK_BYTES, file.size)
+    await apiUpload(`/api/uploads/${uploadId}`, {
+      token,
+      method: 'PUT',
+      body: file.slice(start, end),
+      headers: { 'Content-Type': 'application/octet-stream', 'Content-Range': `bytes ${start}-${end - 1}/${file.size}` },
+      signal,
+      onProgress: (sent) => onProgress(start + sent),
+    })
+    offset = end
+  }
+  const doc = await api(`/api/uploads/${uploadId}/complete`, { token, method: 'POST', signal })
+  localStorage.removeItem(key)
+  return doc
+}
+
+const UPLOAD_STATUS_TONES = {
+  queued: 'text-slate-500',
+  uploading: 'text-primary',
+  done: 'text-emerald-600',
+  error: 'text-red-600',
+  invalid: 'text-red-600',
+  cancelled: 'text-amber-600',
+}
+
+function UploadPanel({ token, workspaceId, onDone, pushToast }) {
+  const [dragOver, setDragOver] = useState(false)
+  const [files, setFiles] = useState([])
+  const [running, setRunning] = useState(false)
+  const [preparing, setPreparing] = useState(0)
+  const controllers = useRef({})
+  const uploaded = useRef(0)
+
+  const update = (id, patch) => setFiles(fs => fs.map(it => it.id === id ? { ...it, ...patch } : it))
+
+  // Detects and validates each file before it is queued; archives are replaced by their (validated) contents.
+  // Files that cannot be read become invalid items rather than failing the whole drop.
+  async function addFiles(list) {
+    if (!list.length) return
+    setPreparing(n => n + 1)
+    const items = []
+    const pending = list.map(file => ({ file, path: '', depth: 0 }))
+    const budget = { bytes: 0 }
+    try {
+      while (pending.length) {
+        const { file, path, depth, error } = pending.shift()
+        let info
+        try {
+          info = error ? { kind: '', format: fileExt(file.name), mime: '', error } : await detectUpload(file)
+        } catch (err) {
+          info = { kind: '', format: fileExt(file.name), mime: file.type, error: `Could not read file: ${err.message}` }
+        }
+        if (info.kind === 'archive' && !info.error) {
+          if (depth >= MAX_ARCHIVE_DEPTH) {
+            info.error = `Archives nested more than ${MAX_ARCHIVE_DEPTH} deep are not unpacked`
+          } else {
+            try {
+              const entries = await unpackArchive(file, path, budget)
+              if (entries.length) {
+                pending.push(...entries.map(entry => ({ ...entry, depth: depth + 1 })))
+                pushToast({ title: 'Archive unpacked', description: `${file.name}: ${entries.length} file${entries.length === 1 ? '' : 's'}` })
+                continue
+              }
+              info.error = 'Archive contains no files'
+            } catch (err) {
+              info.error = `Could not read archive: ${err.message}`
+            }
+          }
+        }
+        items.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, f: file, path, ...info, sent: 0, status: info.error ? 'invalid' : 'queued' })
+      }
+    } finally {
+      setFiles(fs => [...fs.filter(it => it.status !== 'done'), ...items])
+      setPreparing(n => n - 1)
+    }
+  }
+  function onDrop(e) {
+    e.preventDefault()
+    setDragOver(false)
+    addFiles(Array.from(e.dataTransfer.files))
+  }
+  function onInput(e) {
+    addFiles(Array.from(e.target.files || []))
+    e.target.value = ''
+  }
+
+  async function uploadOne(item) {
+    const ctrl = new AbortController()
+    controllers.current[item.id] = ctrl
+    update(item.id, { status: 'uploading', error: '' })
+    const onProgress = (sent) => update(item.id, { sent: Math.min(sent, item.f.size) })
+    try {
+      if (item.f.size > UPLOAD_CHUNK_BYTES) {
+        await uploadChunked(item.f, { token, workspaceId, path: item.path, mime: item.mime, signal: ctrl.signal, onProgress })
+      } else {
+        const fd = new FormData()
+        fd.append('file', item.f)
+        if (workspaceId) fd.append('workspace_id', workspaceId)
+        if (item.path) fd.append('relative_path', item.path)
+        await apiUpload('/api/documents/upload', { token, body: fd, signal: ctrl.signal, onProgress })
+      }
+      uploaded.current += 1
+      update(item.id, { status: 'done', sent: item.f.size })
+      pushToast({ title: 'Upload complete', description: item.f.name })
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        update(item.id, { status: 'cancelled' })
+      } else {
+        update(item.id, { status: 'error', error: err.message })
+        pushToast({ title: 'Upload failed', description: `${item.f.name}: ${err.message}` })
+      }
+    } finally {
+      delete controllers.current[item.id]
+    }
+  }
+
+  // Queue scheduler: keeps up to UPLOAD_CONCURRENCY transfers in flight until nothing is queued.
+  useEffect(() => {
+    if (!running) return
+    const active = files.filter(it => it.status === 'uploading').length
+    const next = files.filter(it => it.status === 'queued').slice(0, Math.max(0, UPLOAD_CONCURRENCY - active))
+    next.forEach(uploadOne)
+    if (!active && !next.length) {
+      setRunning(false)
+      if (uploaded.current) onDone?.()
+      uploaded.current = 0
+    }
+  }, [files, running])
+
+  useEffect(() => () => Object.values(controllers.current).forEach(c => c.abort()), [])
+
+  function cancel(item) {
+    if (controllers.current[item.id]) controllers.current[item.id].abort()
+    else update(item.id, { status: 'cancelled' })
+  }
+  function retry(item) {
+    update(item.id, { status: 'queued', error: '' })
+    setRunning(true)
+  }
+  function remove(item) {
+    setFiles(fs => fs.filter(it => it.id !== item.id))
+  }
+
+  const queued = files.filter(it => it.status === 'queued').length
+  const failed = files.filter(it => it.status === 'error' || it.status === 'cancelled')
+  const finished = files.filter(it => ['done', 'invalid', 'cancelled'].includes(it.status)).length
+
+  return (
+    <div>
+      <div
+        onDragOver={(e)=>{e.preventDefault(); setDragOver(true)}}
+        onDragLeave={()=>setDragOver(false)}
+        onDrop={onDrop}
+        className={`rounded-2xl border-2 border-dashed ${dragOver?'border-primary bg-blue-50/50 dark:bg-blue-950/20':'border-slate-300 dark:border-slate-700'} p-8 text-center transition`}
+        aria-label="Drag and drop zone"
+      >
+        <div className="mx-auto w-14 h-14 rounded-full bg-primary/10 text-primary grid place-content-center mb-3">
+          <FileUp/>
+        </div>
+        <div className="font-medium mb-1">Drag & drop your legal documents</div>
+        <div className="text-sm text-slate-500 dark:text-slate-400 mb-3">PDF, DOCX, scanned images, email (.eml/.msg), TXT/RTF and ZIP bundles. Max 10MB per file.</div>
+        <label className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-primary text-white cursor-pointer hover:opacity-90">
+          <Paperclip size={16}/> Choose files
+          <input type="file" className="hidden" multiple accept={UPLOAD_ACCEPT} onChange={onInput}/>
+        </label>
+      </div>
+
+      {!!preparing && (
+        <div className="mt-4 flex items-center gap-2 text-sm text-slate-500"><Loader2 size={14} className="animate-spin"/> Checking files…</div>
+      )}
+
+      {!!files.length && (
+        <div className="mt-6 space-y-3">
+          {files.map(it => {
+            const pct = it.f.size ? Math.round(it.sent / it.f.size * 100) : 0
+            const Icon = UPLOAD_KINDS[it.kind]?.icon || FileText
+            return (
+              <div key={it.id} className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                <div className="flex items-center justify-between gap-3 text-sm">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <Icon size={16} className="shrink-0 text-slate-400"/>
+                    <div className="min-w-0">
+                      <div className="truncate">{it.f.name} <span className="text-slate-400">• {formatBytes(it.f.size)}</span></div>
+                      <div className="text-xs text-slate-400 truncate">
+                        {it.kind ? `${UPLOAD_KINDS[it.kind].label} (.${it.format})` : 'Unknown type'}{it.path && ` • ${it.path}/`}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2 shrink-0">
+                    <span className={`capitalize ${UPLOAD_STATUS_TONES[it.status]}`}>
+                      {it.status === 'uploading' ? `${pct}%` : it.status}
+                    </span>
+                    {(it.status === 'uploading' || it.status === 'queued') && (
+                      <button onClick={()=>cancel(it)} className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" aria-label={`Cancel ${it.f.name}`} title="Cancel"><X size={14}/></button>
+                    )}
+                    {(it.status === 'error' || it.status === 'cancelled') && (
+                      <button onClick={()=>retry(it)} className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" aria-label={`Retry ${it.f.name}`} title="Retry"><RotateCcw size={14}/></button>
+                    )}
+                    {it.status !== 'uploading' && it.status !== 'queued' && (
+                      <button onClick={()=>remove(it)} className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800" aria-label={`Remove ${it.f.name}`} title="Remove"><Trash2 size={14}/></button>
+                    )}
+                  </div>
+                </div>
+                {it.status !== 'invalid' && (
+                  <div className="mt-2 h-2 w-full bg-slate-100 dark:bg-slate-800 rounded overflow-hidden">
+                    <div className={`h-full ${it.status==='error'?'bg-red-500':it.status==='cancelled'?'bg-amber-400':'bg-primary'} transition-all`} style={{ width: `${pct}%` }} />
+                  </div>
+                )}
+                {it.error && <div className="mt-1 text-xs text-red-600">{it.error}</div>}
+              </div>
+            )
+          })}
+          <div className="flex flex-wrap items-center gap-2">
+            <button onClick={()=>setRunning(true)} disabled={running || !queued} className="px-4 py-2 rounded-xl bg-accent text-white hover:bg-teal-600 disabled:opacity-50">
+              {running ? 'Uploading…' : `Start upload${queued ? ` (${queued})` : ''}`}
+            </button>
+            {!!failed.length && !running && (
+              <button onClick={()=>{ failed.forEach(it => update(it.id, { status: 'queued', error: '' })); setRunning(true) }} className="px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-800 hover:bg-slate-50 dark:hover:bg-slate-900">
+                Retry failed ({failed.length})
+              </button>
+            )}
+            {!!finished && (
+              <button onClick={()=>setFiles(fs => fs.filter(it => !['done', 'invalid', 'cancelled'].includes(it.status)))} className="px-4 py-2 rounded-xl text-slate-500 hover:bg-slate-50 dark:hover:bg-slate-900">
+                Clear finished
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Clause/heading detection for the document viewer outline
+function slugify(s) {
+  return s.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48)
+}
+
+function headingLevel(text) {
+  const t = text.trim()
+  if (!t || t.length > 120) return 0
+  if (/^(article|section|clause|schedule|exhibit|annex|appendix)\s+([0-9]+|[ivxlc]+)\b/i.test(t)) return 1
+  const num = t.match(/^(\d+(?:\.\d+)*)[.)]?\s+[A-Z]/)
+  if (num && !/[.;,:]$/.test(t)) return Math.min(num[1].split('.').filter(Boolean).length, 3)
+  if (t.length <= 80 && /[A-Z]{3}/.test(t) && t === t.toUpperCase() && !/[.;,]$/.test(t)) return 1
+  return 0
+}
+
+function detectClauses(blocks) {
+  const out = []
+  blocks.forEach((b, index) => {
+    const level = headingLevel(b.text)
+    if (!level) return
+    const title = b.text.trim()
+    out.push({ id: `clause-${out.length + 1}-${slugify(title)}`, title, level, index, page: b.page, top: b.top })
+  })
+  return out
+}
+
+function docKind(doc) {
+  const name = (doc?.filename || '').toLowerCase()
+  const ct = doc?.content_type || ''
+  if (ct === 'application/pdf' || name.endsWith('.pdf')) return 'pdf'
+  if (ct.includes('wordprocessingml') || name.endsWith('.docx')) return 'docx'
+  return 'other'
+}
+
+async function loadPdf(buffer) {
+  const pdfjs = await import('pdfjs-dist')
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl
+  const pdf = await pdfjs.getDocument({ data: buffer }).promise
+  const pages = []
+  const blocks = []
+  for (let n = 1; n <= pdf.numPages; n++) {
+    const page = await pdf.getPage(n)
+    const viewport = page.getViewport({ scale: 1 })
+    const content = await page.getTextContent()
+    const items = []
+    let line = '', top = null
+    for (const item of content.items) {
+      const [, , c, d, x, y] = item.transform
+      const h = item.height || Math.hypot(c, d)
+      items.push({ str: item.str, eol: item.hasEOL, x, y: viewport.height - y - h, w: item.width, h })
+      if (top === null) top = 1 - y / viewport.height
+      line += item.str
+      if (item.hasEOL) {
+        if (line.trim()) blocks.push({ text: line, page: n, top })
+        line = ''
+        top = null
+      }
+    }
+    if (line.trim()) blocks.push({ text: line, page: n, top })
+    pages.push({ n, page, items, width: viewport.width, height: viewport.height })
+  }
+  return { pages, blocks }
+}
+
+async function loadDocx(buffer) {
+  const mammoth = (await import('mammoth/mammoth.browser')).default
+  const { value } = await mammoth.extractRawText({ arrayBuffer: buffer })
+  return { blocks: value.split(/\n+/).filter(p => p.trim()).map(text => ({ text })) }
+}
+
+// Characters compared when scoring the text around a repeated quote against the saved context
+const QUOTE_CONTEXT = 48
+const contextKey = (s) => (s || '').toLowerCase().replace(/[\s.…"“”']/g, '')
+
+// Finds a quoted span across text pieces, ignoring case, whitespace and trailing ellipses.
+// When the quote occurs more than once, `context` ({ prefix, suffix } captured around the original selection)
+// picks the occurrence whose surroundings match best; without it the first occurrence wins.
+// Returns [piece, char] positions of the first and last matched characters.
+function locateQuote(pieces, quote, context) {
+  let text = ''
+  const map = []
+  pieces.forEach((str, p) => {
+    for (let c = 0; c < str.length; c++) {
+      if (/\s/.test(str[c])) {
+        if (text && !text.endsWith(' ')) { text += ' '; map.push([p, c]) }
+      } else {
+        text += str[c].toLowerCase()
+        map.push([p, c])
+      }
+    }
+  })
+  const q = (quote || '').replace(/\s+/g, ' ').toLowerCase().replace(/^[\s.…"“']+|[\s.…"”']+$/g, '')
+  if (!q) return null
+  let len = q.length
+  const occurrences = (needle) => {
+    const out = []
+    for (let at = text.indexOf(needle); at >= 0; at = text.indexOf(needle, at + 1)) out.push(at)
+    return out
+  }
+  let hits = occurrences(q)
+  if (!hits.length && len > 60) {
+    len = 60
+    hits = occurrences(q.slice(0, len))
+  }
+  if (!hits.length) return null
+  let at = hits[0]
+  if (hits.length > 1 && (context?.prefix || context?.suffix)) {
+    const prefix = contextKey(context.prefix)
+    const suffix = contextKey(context.suffix)
+    const score = (h) => {
+      const before = contextKey(text.slice(Math.max(0, h - QUOTE_CONTEXT * 2), h))
+      const after = contextKey(text.slice(h + len, h + len + QUOTE_CONTEXT * 2))
+      let n = 0
+      while (n < prefix.length && n < before.length && prefix[prefix.length - 1 - n] === before[before.length - 1 - n]) n++
+      let m = 0
+      while (m < suffix.length && m < after.length && suffix[m] === after[m]) m++
+      return n + m
+    }
+    at = hits.reduce((best, h) => (score(h) > score(best) ? h : best))
+  }
+  return { from: map[at], to: map[at + len - 1] }
+}
+
+// Text just before and after a DOM selection within `scope`, saved with an annotation to tell repeated quotes apart
+function selectionContext(range, scope) {
+  const before = document.createRange()
+  before.selectNodeContents(scope)
+  before.setEnd(range.startContainer, range.startOffset)
+  const after = document.createRange()
+  after.selectNodeContents(scope)
+  after.setStart(range.endContainer, range.endOffset)
+  return {
+    prefix: before.toString().replace(/\s+/g, ' ').slice(-QUOTE_CONTEXT),
+    suffix: after.toString().replace(/\s+/g, ' ').slice(0, QUOTE_CONTEXT),
+  }
+}
+
+function locateCitation(kind, state, highlight) {
+  if (!highlight || state.loading || state.error) return null
+  const { page, quote, prefix, suffix } = highlight
+  const context = prefix || suffix ? { prefix, suffix } : null
+  if (kind === 'pdf') {
+    const order = [...state.pages].sort((a, b) => (b.n === page) - (a.n === page))
+    for (const p of order) {
+      const hit = locateQuote(p.items.map(i => i.str + (i.eol ? '\n' : '')), quote, context)
+      if (!hit) continue
+      const rects = []
+      for (let k = hit.from[0]; k <= hit.to[0]; k++) {
+        const it = p.items[k]
+        const len = it.str.length
+        if (!len) continue
+        const c0 = k === hit.from[0] ? hit.from[1] : 0
+        const c1 = k === hit.to[0] ? hit.to[1] + 1 : len
+        rects.push({ x: it.x + (it.w * c0) / len, y: it.y, w: (it.w * (c1 - c0)) / len, h: it.h })
+      }
+      return { page: p.n, rects }
+    }
+    return page ? { page, rects: [], missing: !!quote } : null
+  }
+  const hit = locateQuote(state.blocks.map(b => b.text + '\n'), quote, context)
+  return hit ? { from: hit.from, to: hit.to } : { missing: !!quote }
+}
+
+// Character range of a located quote within block i, or null when the hit doesn't touch it
+function blockRange(hit, i, len, extra) {
+  if (!hit?.from || i < hit.from[0] || i > hit.to[0]) return null
+  return { c0: i === hit.from[0] ? hit.from[1] : 0, c1: i === hit.to[0] ? hit.to[1] + 1 : len, ...extra }
+}
+
+// Splits block text at highlight boundaries; later ranges win where they overlap
+function markSpans(text, ranges) {
+  if (!ranges.length) return text
+  const cuts = [...new Set([0, text.length, ...ranges.flatMap(r => [r.c0, r.c1])])].sort((a, b) => a - b)
+  return cuts.slice(0, -1).map((c, k) => {
+    const end = cuts[k + 1]
+    const r = [...ranges].reverse().find(r => r.c0 <= c && r.c1 >= end)
+    const seg = text.slice(c, end)
+    return r ? <mark key={k} id={r.c0 === c ? r.anchor : undefined} className={r.className}>{seg}</mark> : seg
+  })
+}
+
+// Invisible, selectable text over the rendered canvas so passages can be highlighted and commented on
+let measureCtx = null
+function PdfTextLayer({ items, scale }) {
+  const spans = useMemo(() => {
+    measureCtx = measureCtx || document.createElement('canvas').getContext('2d')
+    return items.filter(it => it.str || it.eol).map(it => {
+      const size = it.h * scale
+      measureCtx.font = `${size}px sans-serif`
+      const natural = measureCtx.measureText(it.str).width
+      return { ...it, size, stretch: natural ? (it.w * scale) / natural : 1 }
+    })
+  }, [items, scale])
+  return (
+    <div className="absolute inset-0 overflow-hidden leading-none selection:bg-sky-400/40">
+      {spans.map((s, i) => (
+        <span key={i} className="absolute whitespace-pre text-transparent origin-top-left cursor-text" style={{ left: s.x * scale, top: s.y * scale, fontSize: s.size, fontFamily: 'sans-serif', transform: `scaleX(${s.stretch})` }}>{s.str}{s.eol ? '\n' : ''}</span>
+      ))}
+    </div>
+  )
+}
+
+function PdfPage({ page, width, height, scale }) {
+  const ref = useRef(null)
+  const [visible, setVisible] = useState(false)
+  useEffect(() => {
+    const el = ref.current
+    if (!el) return
+    const io = new IntersectionObserver(([e]) => { if (e.isIntersecting) setVisible(true) }, { rootMargin: '600px' })
+    io.observe(el)
+    return () => io.disconnect()
+  }, [])
+  useEffect(() => {
+    if (!visible) return
+    const canvas = ref.current
+    const viewport = page.getViewport({ scale: scale * (window.devicePixelRatio || 1) })
+    canvas.width = viewport.width
+    canvas.height = viewport.height
+    const task = page.render({ canvasContext: canvas.getContext('2d'), viewport })
+    task.promise.catch(() => {})
+    return () => task.cancel()
+  }, [visible, page, scale])
+  return <canvas ref={ref} className="bg-white shadow rounded" style={{ width: width * scale, height: height * scale }} />
+}
+
+// Comments are shown when the opener passes `can` (the library does; risk previews don't)
+// Escape inside a comment box cancels the comment rather than closing the viewer.
+function DocumentViewer({ token, doc, highlight, marks, user, workspaceId, can, focusComment, onClose }) {
+  const kind = docKind(doc)
+  const [state, setState] = useState({ loading: true, error: '', pages: [], blocks: [] })
+  const location = useLocation()
+  const navigate = useNavigate()
+  const [active, setActive] = useState(() => decodeURIComponent(location.hash.slice(1)))
+  const scale = 1.3
+  const commenting = !!can
+  const canComment = commenting && can('documents.comment', doc)
+  const notes = useAnnotations(commenting ? token : '', doc.id)
+  const [showNotes, setShowNotes] = useState(commenting)
+  const [focused, setFocused] = useState(focusComment || '')
+  const [selection, setSelection] = useState(null) // { quote, page, x, y } under the cursor
+  const [draft, setDraft] = useState(null)
+  const contentRef = useRef(null)
+
+  useEffect(() => {
+    let cancelled = false
+    setState({ loading: true, error: '', pages: [], blocks: [] })
+    ;(async () => {
+      try {
+        if (kind === 'other') throw new Error('Preview is only available for PDF and DOCX files')
+        const buffer = await api(`/api/documents/${doc.id}/file`, { token, as: 'arrayBuffer' })
+        const res = kind === 'pdf' ? await loadPdf(buffer) : await loadDocx(buffer)
+        if (!cancelled) setState({ loading: false, error: '', pages: res.pages || [], blocks: res.blocks })
+      } catch (err) {
+        if (!cancelled) setState({ loading: false, error: err.message, pages: [], blocks: [] })
+      }
+    })()
+    return () => { cancelled = true }
+  }, [doc.id, kind, token])
+
+  const outline = useMemo(() => detectClauses(state.blocks), [state.blocks])
+  const anchorAt = useMemo(() => new Map(outline.map(o => [o.index, o])), [outline])
+
+  const citation = useMemo(() => locateCitation(kind, state, highlight), [kind, state, highlight])
+  const heat = useMemo(() => (marks || []).map(m => ({ tone: m.tone, hit: m.quote ? locateCitation(kind, state, m) : null })).filter(m => m.hit && !m.hit.missing), [kind, state, marks])
+  // Open threads are highlighted; a resolved one only while it is focused
+  const located = useMemo(() => notes.items.map(a => ({ a, hit: locateCitation(kind, state, a) })).filter(m => m.hit && !m.hit.missing && (m.hit.rects ? m.hit.rects.length : true)), [kind, state, notes.items])
+  const marked = located.filter(m => m.a.status !== 'resolved' || m.a.id === focused)
+  const draftHit = useMemo(() => (draft ? locateCitation(kind, state, draft) : null), [kind, state, draft])
+  const noteClass = (id) => (id === focused ? 'bg-sky-300/50 ring-1 ring-sky-500' : 'bg-sky-200/40')
+
+  function captureSelection() {
+    if (!canComment) return
+    const sel = window.getSelection()
+    const quote = sel?.toString().replace(/\s+/g, ' ').trim()
+    if (!quote || quote.length < 3 || !contentRef.current?.contains(sel.anchorNode)) return setSelection(null)
+    const range = sel.getRangeAt(0)
+    const rect = range.getBoundingClientRect()
+    const box = contentRef.current.getBoundingClientRect()
+    const pageEl = sel.anchorNode.parentElement?.closest('[data-page]')
+    const page = Number(pageEl?.dataset.page) || undefined
+    setSelection({
+      quote: quote.slice(0, 1000),
+      page,
+      ...selectionContext(range, pageEl || contentRef.current),
+      x: rect.left - box.left + contentRef.current.scrollLeft + rect.width / 2,
+      y: rect.top - box.top + contentRef.current.scrollTop,
+    })
+  }
+  function startComment() {
+    setDraft(selection)
+    setSelection(null)
+    setShowNotes(true)
+    window.getSelection()?.removeAllRanges()
+  }
+  function focusNote(id) {
+    setFocused(id)
+    requestAnimationFrame(() => {
+      document.getElementById(`annotation-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' })
+      document.getElementById(`thread-${id}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' })
+    })
+  }
+
+  function jump(id, smooth = true) {
+    setActive(id)
+    navigate({ pathname: location.pathname, search: location.search, hash: encodeURIComponent(id) }, { replace: true })
+    document.getElementById(id)?.scrollIntoView({ behavior: smooth ? 'smooth' : 'auto', block: 'start' })
+  }
+
+  useEffect(() => {
+    if (state.loading) return
+    const target = document.getElementById('citation-highlight') || (citation?.page && document.getElementById(`page-${citation.page}`))
+    if (target) target.scrollIntoView({ block: 'center' })
+    else if (active && outline.some(o => o.id === active)) jump(active, false)
+  }, [state.loading, outline, citation])
+  // ?comment=<id> links open with that thread focused
+  useEffect(() => {
+    if (!state.loading && focusComment && notes.items.some(a => a.id === focusComment)) focusNote(focusComment)
+  }, [state.loading, focusComment, notes.items.length])
+
+  return (
+    <Dialog.Root open onOpenChange={(o)=>{ if(!o) onClose() }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/40" />
+        <Dialog.Content aria-describedby={undefined} onEscapeKeyDown={(e)=>{ if (e.target instanceof HTMLTextAreaElement) e.preventDefault() }} className="fixed inset-4 z-50 flex flex-col rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl overflow-hidden">
+          <div className="flex items-center gap-3 px-4 py-3 border-b border-slate-200 dark:border-slate-800">
+            <BookOpen size={18} className="text-primary"/>
+            <Dialog.Title className="font-medium truncate">{doc.filename}</Dialog.Title>
+            <span className="text-xs text-slate-500 uppercase">{kind}</span>
+            {!!marks?.length && (
+              <span className="hidden lg:inline-flex items-center gap-1 text-xs">
+                {RISK_ORDER.map(t => <span key={t} className={`px-1.5 rounded capitalize ${RISK_TONES[t].badge}`}>{t}</span>)}
+              </span>
+            )}
+            {highlight?.quote && (
+              <span className={`hidden lg:inline max-w-md truncate text-xs px-2 py-1 rounded-lg ${citation?.missing ? 'bg-amber-50 text-amber-700' : 'bg-yellow-100 text-yellow-800'}`} title={highlight.quote}>
+                {citation?.missing ? 'Cited passage not found' : 'Cited'}{highlight.page ? ` · p.${highlight.page}` : ''}: “{highlight.quote}”
+              </span>
+            )}
+            {commenting && (
+              <button onClick={()=>setShowNotes(s => !s)} aria-pressed={showNotes} className={`ml-auto text-xs px-3 py-1.5 rounded-xl border inline-flex items-center gap-1 ${showNotes ? 'border-primary text-primary' : 'border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800'}`}>
+                <MessageSquareText size={14}/> Comments {notes.items.filter(a => a.status !== 'resolved').length || ''}
+              </button>
+            )}
+            <button onClick={()=>navigator.clipboard?.writeText(window.location.href)} className={`${commenting ? '' : 'ml-auto '}text-xs px-3 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-1`}><Link2 size={14}/> Copy link</button>
+            <Dialog.Close aria-label="Close viewer" className="p-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800"><X size={18}/></Dialog.Close>
+          </div>
+          <div className="flex flex-1 min-h-0">
+            <aside className="hidden md:block w-64 shrink-0 border-r border-slate-200 dark:border-slate-800 overflow-auto p-3">
+              <div className="text-xs uppercase text-slate-500 mb-2 inline-flex items-center gap-1"><ListTree size={14}/> Outline</div>
+              {!state.loading && outline.length === 0 && <div className="text-sm text-slate-500">No clauses detected.</div>}
+              <nav className="space-y-0.5">
+                {outline.map(o => (
+                  <a key={o.id} href={`#${o.id}`} onClick={(e)=>{ e.preventDefault(); jump(o.id) }} style={{ paddingLeft: `${o.level * 0.75}rem` }} className={`block pr-2 py-1 rounded-lg text-sm truncate hover:bg-slate-100 dark:hover:bg-slate-900 ${active===o.id ? 'bg-slate-100 dark:bg-slate-900 text-primary' : 'text-slate-600 dark:text-slate-300'}`} title={o.title}>
+                    {o.title}{o.page && <span className="ml-1 text-xs text-slate-400">p.{o.page}</span>}
+                  </a>
+                ))}
+              </nav>
+            </aside>
+            <div ref={contentRef} onMouseUp={captureSelection} className="relative flex-1 overflow-auto bg-slate-100 dark:bg-slate-900 p-4">
+              {selection && (
+                <button onMouseDown={(e)=>e.preventDefault()} onClick={startComment} className="absolute z-10 -translate-x-1/2 -translate-y-full -mt-1 text-xs px-2 py-1 rounded-lg bg-slate-900 text-white shadow-lg inline-flex items-center gap-1" style={{ left: selection.x, top: selection.y - 4 }}>
+                  <MessageSquarePlus size={12}/> Comment
+                </button>
+              )}
+              {state.loading ? (
+                <div className="h-full grid place-content-center text-slate-500"><Loader2 className="animate-spin" /></div>
+              ) : state.error ? (
+                <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {state.error}</div>
+              ) : kind === 'pdf' ? (
+                <div className="flex flex-col items-center gap-4">
+                  {state.pages.map(p => (
+                    <div key={p.n} id={`page-${p.n}`} data-page={p.n} className="relative">
+                      {outline.filter(o => o.page === p.n).map(o => (
+                        <span key={o.id} id={o.id} className="absolute left-0 scroll-mt-4" style={{ top: `${o.top * 100}%` }} />
+                      ))}
+                      <PdfPage page={p.page} width={p.width} height={p.height} scale={scale} />
+                      {heat.filter(m => m.hit.page === p.n).flatMap((m, k) => m.hit.rects.map((r, i) => (
+                        <span key={`h${k}-${i}`} className={`absolute rounded-sm pointer-events-none ${RISK_TONES[m.tone]?.fill || 'bg-slate-400/30'}`} style={{ left: `${(r.x / p.width) * 100}%`, top: `${(r.y / p.height) * 100}%`, width: `${(r.w / p.width) * 100}%`, height: `${(r.h / p.height) * 100}%` }} />
+                      )))}
+                      {marked.filter(m => m.hit.page === p.n).flatMap(m => m.hit.rects.map((r, i) => (
+                        <span key={`n${m.a.id}-${i}`} id={i === 0 ? `annotation-${m.a.id}` : undefined} className={`absolute rounded-sm pointer-events-none ${noteClass(m.a.id)}`} style={{ left: `${(r.x / p.width) * 100}%`, top: `${(r.y / p.height) * 100}%`, width: `${(r.w / p.width) * 100}%`, height: `${(r.h / p.height) * 100}%` }} />
+                      )))}
+                      {draftHit?.page === p.n && draftHit.rects.map((r, i) => (
+                        <span key={`d${i}`} className="absolute rounded-sm pointer-events-none bg-sky-300/50" style={{ left: `${(r.x / p.width) * 100}%`, top: `${(r.y / p.height) * 100}%`, width: `${(r.w / p.width) * 100}%`, height: `${(r.h / p.height) * 100}%` }} />
+                      ))}
+                      {citation?.page === p.n && citation.rects.map((r, i) => (
+                        <span key={i} id={i === 0 ? 'citation-highlight' : undefined} className="absolute bg-yellow-300/50 ring-1 ring-yellow-500 rounded-sm pointer-events-none" style={{ left: `${(r.x / p.width) * 100}%`, top: `${(r.y / p.height) * 100}%`, width: `${(r.w / p.width) * 100}%`, height: `${(r.h / p.height) * 100}%` }} />
+                      ))}
+                      {commenting && <PdfTextLayer items={p.items} scale={scale} />}
+                    </div>
+                  ))}
+                </div>
+              ) : (
+                <article className="max-w-3xl mx-auto bg-white dark:bg-slate-950 rounded-xl p-8 shadow text-sm leading-relaxed space-y-3">
+                  {state.blocks.map((b, i) => {
+                    const h = anchorAt.get(i)
+                    const tone = RISK_ORDER.find(t => heat.some(m => m.tone === t && i >= m.hit.from[0] && i <= m.hit.to[0]))
+                    const text = markSpans(b.text, [
+                      ...marked.map(m => blockRange(m.hit, i, b.text.length, { anchor: `annotation-${m.a.id}`, className: `${noteClass(m.a.id)} rounded-sm dark:text-white` })),
+                      blockRange(draftHit, i, b.text.length, { className: 'bg-sky-300/50 rounded-sm dark:text-white' }),
+                      blockRange(citation, i, b.text.length, { anchor: 'citation-highlight', className: 'bg-yellow-200 dark:bg-yellow-500/40 dark:text-white rounded-sm' }),
+                    ].filter(Boolean))
+                    return h
+                      ? <h4 key={i} id={h.id} className={`scroll-mt-4 font-semibold pt-2 ${active===h.id ? 'text-primary' : 'text-slate-900 dark:text-white'}`}>{text}</h4>
+                      : <p key={i} className={`whitespace-pre-wrap ${tone ? RISK_TONES[tone].block : ''}`}>{text}</p>
+                  })}
+                </article>
+              )}
+            </div>
+            {commenting && showNotes && (
+              <AnnotationsSidebar doc={doc} me={user} token={token} workspaceId={workspaceId} canComment={canComment} notes={notes} draft={draft} located={located} focused={focused} onFocus={focusNote} onDraftDone={()=>setDraft(null)} />
+            )}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+// Collaborative review. Annotations are anchored by their quoted text (plus page for PDFs, and the text around the
+// selection to tell repeated phrases apart) and re-located with locateQuote like chat citations, so they survive
+// re-rendering at any scale and re-extraction of the file.
+function useAnnotations(token, docId) {
+  const [state, setState] = useState({ items: [], loading: false, error: '' })
+  const base = `/api/documents/${docId}/annotations`
+
+  async function load() {
+    setState(s => ({ ...s, loading: true }))
+    try {
+      const res = await api(base, { token })
+      setState({ items: res.annotations || [], loading: false, error: '' })
+    } catch (err) {
+      setState(s => ({ ...s, loading: false, error: err.message }))
+    }
+  }
+  // Mutations reload the list so replies and status changes from other reviewers show up too
+  async function run(fn) {
+    try {
+      await fn()
+      await load()
+      return true
+    } catch (err) {
+      setState(s => ({ ...s, error: err.message }))
+      return false
+    }
+  }
+
+  useEffect(() => { if (token && docId) load() }, [token, docId])
+
+  return {
+    ...state,
+    reload: load,
+    create: (draft) => run(() => api(base, { token, method: 'POST', body: draft })),
+    reply: (id, body, mentions) => run(() => api(`${base}/${id}/replies`, { token, method: 'POST', body: { body, mentions } })),
+    setStatus: (id, status) => run(() => api(`${base}/${id}`, { token, method: 'PATCH', body: { status } })),
+    remove: (id) => run(() => api(`${base}/${id}`, { token, method: 'DELETE' })),
+  }
+}
+
+const MENTION_QUERY = /(^|\s)@([\w.'-]{1,30})$/
+const personName = (p) => p?.name || p?.email || 'Unknown'
+
+// Comment text with @mentions; mentioned people come from the workspace directory
+function CommentComposer({ token, workspaceId, placeholder, submitLabel = 'Comment', autoFocus, onSubmit, onCancel }) {
+  const [text, setText] = useState('')
+  const [mentions, setMentions] = useState([])
+  const [query, setQuery] = useState('')
+  const [people, setPeople] = useState([])
+  const [sel, setSel] = useState(0)
+  const [busy, setBusy] = useState(false)
+  const ref = useRef(null)
+
+  useEffect(() => {
+    if (!query) { setPeople([]); return }
+    const ctrl = new AbortController()
+    const t = setTimeout(() => {
+      api(`/api/directory${qs({ q: query, workspace_id: workspaceId })}`, { token, signal: ctrl.signal })
+        .then(res => { setPeople((res.users || []).slice(0, 6)); setSel(0) })
+        .catch(() => {})
+    }, 200)
+    return () => { clearTimeout(t); ctrl.abort() }
+  }, [query])
+
+  function onChange(e) {
+    setText(e.target.value)
+    const m = e.target.value.slice(0, e.target.selectionStart).match(MENTION_QUERY)
+    setQuery(m ? m[2] : '')
+  }
+  function mention(person) {
+    const el = ref.current
+    const caret = el.selectionStart
+    const name = personName(person)
+    const before = text.slice(0, caret).replace(/@[\w.'-]*$/, `@${name} `)
+    setText(before + text.slice(caret))
+    setMentions(ms => (ms.some(m => m.id === person.id) ? ms : [...ms, { id: person.id, name }]))
+    setQuery('')
+    requestAnimationFrame(() => { el.focus(); el.setSelectionRange(before.length, before.length) })
+  }
+  function onKeyDown(e) {
+    if (query && people.length) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault()
+        const step = e.key === 'ArrowDown' ? 1 : -1
+        return setSel(i => (i + step + people.length) % people.length)
+      }
+      if (e.key === 'Enter' || e.key === 'Tab') {
+        e.preventDefault()
+        return mention(people[Math.min(sel, people.length - 1)])
+      }
+      if (e.key === 'Escape') return setQuery('')
+    }
+    if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) submit(e)
+    if (e.key === 'Escape') onCancel?.()
+  }
+  async function submit(e) {
+    e.preventDefault()
+    const body = text.trim()
+    if (!body || busy) return
+    setBusy(true)
+    const ok = await onSubmit(body, mentions.filter(m => body.includes(`@${m.name}`)).map(m => m.id))
+    setBusy(false)
+    if (ok) {
+      setText('')
+      setMentions([])
+    }
+  }
+
+  return (
+    <form onSubmit={submit} className="relative space-y-2">
+      <textarea ref={ref} autoFocus={autoFocus} rows={2} value={text} onChange={onChange} onKeyDown={onKeyDown} placeholder={placeholder} className="w-full resize-y border rounded-lg px-2 py-1.5 text-sm bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" />
+      {query && !!people.length && (
+        <div className="absolute z-10 left-0 right-0 top-full -mt-8 max-h-48 overflow-auto rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-900 shadow-xl p-1">
+          {people.map((p, i) => (
+            <button type="button" key={p.id} onMouseDown={(e)=>e.preventDefault()} onClick={()=>mention(p)} className={`w-full text-left px-2 py-1.5 rounded-md flex items-center gap-2 text-sm ${i===sel ? 'bg-slate-100 dark:bg-slate-800' : ''}`}>
+              <AtSign size={12} className="text-slate-400"/> <span className="truncate">{personName(p)}</span>
+              {p.name && p.email && <span className="ml-auto text-xs text-slate-400 truncate">{p.email}</span>}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center gap-2">
+        <span className="text-xs text-slate-400">@ to mention · Ctrl+Enter to send</span>
+        {onCancel && <button type="button" onClick={onCancel} className="ml-auto text-xs px-2 py-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800">Cancel</button>}
+        <button disabled={busy || !text.trim()} className={`${onCancel ? '' : 'ml-auto '}text-xs px-3 py-1 rounded-lg bg-primary text-white disabled:opacity-50 inline-flex items-center gap-1`}>{busy && <Loader2 size={12} className="animate-spin"/>} {submitLabel}</button>
+      </div>
+    </form>
+  )
+}
+
+function CommentBody({ text, mentions = [] }) {
+  const names = mentions.map(m => m.name).filter(Boolean)
+  if (!names.length) return <p className="whitespace-pre-wrap">{text}</p>
+  const re = new RegExp(`(@(?:${names.map(n => n.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')}))`, 'g')
+  return <p className="whitespace-pre-wrap">{text.split(re).map((part, i) => (i % 2 ? <span key={i} className="text-primary font-medium">{part}</span> : part))}</p>
+}
+
+function CommentMeta({ author, at, me }) {
+  return (
+    <div className="flex items-center gap-2 text-xs text-slate-500">
+      <span className="font-medium text-slate-700 dark:text-slate-200 truncate">{author?.id && author.id === me?.id ? 'You' : personName(author)}</span>
+      {at && <span className="shrink-0">{new Date(at).toLocaleString()}</span>}
+    </div>
+  )
+}
+
+function AnnotationThread({ a, doc, me, token, workspaceId, canComment, focused, found, onFocus, notes }) {
+  const [replying, setReplying] = useState(false)
+  const resolved = a.status === 'resolved'
+  const link = `${window.location.origin}${TAB_PATHS.documents}/${doc.id}?comment=${a.id}`
+
+  return (
+    <div id={`thread-${a.id}`} className={`rounded-xl border p-3 space-y-2 text-sm ${focused ? 'border-sky-400 ring-1 ring-sky-300 dark:ring-sky-700' : 'border-slate-200 dark:border-slate-800'} ${resolved ? 'opacity-70' : ''}`}>
+      <button onClick={onFocus} className="block w-full text-left text-xs italic text-slate-500 border-l-2 border-sky-300 pl-2 line-clamp-2" title={found ? 'Show in document' : 'This passage is no longer in the document'}>
+        {a.page && <span className="not-italic mr-1">p.{a.page}</span>}“{a.quote}”{!found && <span className="not-italic text-amber-600"> · not found</span>}
+      </button>
+      <CommentMeta author={a.author} at={a.created_at} me={me} />
+      <CommentBody text={a.body} mentions={a.mentions} />
+      {(a.replies || []).map(r => (
+        <div key={r.id} className="pl-3 border-l border-slate-200 dark:border-slate-800 space-y-1">
+          <CommentMeta author={r.author} at={r.created_at} me={me} />
+          <CommentBody text={r.body} mentions={r.mentions} />
+        </div>
+      ))}
+      {replying && (
+        <CommentComposer autoFocus token={token} workspaceId={workspaceId} placeholder="Reply…" submitLabel="Reply" onCancel={()=>setReplying(false)} onSubmit={async (body, mentions) => {
+          const ok = await notes.reply(a.id, body, mentions)
+          if (ok) setReplying(false)
+          return ok
+        }} />
+      )}
+      <div className="flex items-center gap-1 text-xs">
+        {canComment && !replying && !resolved && <button onClick={()=>setReplying(true)} className="px-2 py-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 inline-flex items-center gap-1"><Reply size={12}/> Reply</button>}
+        {canComment && <button onClick={()=>notes.setStatus(a.id, resolved ? 'open' : 'resolved')} className="px-2 py-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 inline-flex items-center gap-1">{resolved ? <><RotateCcw size={12}/> Reopen</> : <><CheckCircle2 size={12}/> Resolve</>}</button>}
+        <button onClick={()=>navigator.clipboard?.writeText(link)} aria-label="Copy link to comment" className="px-2 py-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800"><Link2 size={12}/></button>
+        {a.author?.id && a.author.id === me?.id && <button onClick={()=>notes.remove(a.id)} aria-label="Delete comment" className="ml-auto p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800"><Trash2 size={12}/></button>}
+      </div>
+    </div>
+  )
+}
+
+const ANNOTATION_FILTERS = [
+  { k: 'open', label: 'Open' },
+  { k: 'resolved', label: 'Resolved' },
+  { k: 'all', label: 'All' },
+]
+
+function AnnotationsSidebar({ doc, me, token, workspaceId, canComment, notes, draft, located, focused, onFocus, onDraftDone }) {
+  const [filter, setFilter] = useState('open')
+  const counts = { open: notes.items.filter(a => a.status !== 'resolved').length, resolved: notes.items.filter(a => a.status === 'resolved').length, all: notes.items.length }
+  const shown = notes.items.filter(a => filter === 'all' || (filter === 'resolved') === (a.status === 'resolved'))
+
+  return (
+    <aside className="w-80 shrink-0 border-l border-slate-200 dark:border-slate-800 overflow-auto p-3 space-y-3">
+      <div className="flex items-center gap-2">
+        <div className="text-xs uppercase text-slate-500 inline-flex items-center gap-1"><MessageSquareText size={14}/> Comments</div>
+        <button onClick={notes.reload} aria-label="Reload comments" className="ml-auto p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800">{notes.loading ? <Loader2 size={12} className="animate-spin"/> : <RefreshCw size={12}/>}</button>
+      </div>
+      <div className="flex gap-1 text-xs">
+        {ANNOTATION_FILTERS.map(f => (
+          <button key={f.k} onClick={()=>setFilter(f.k)} className={`px-2 py-1 rounded-lg border ${filter===f.k ? 'border-primary text-primary' : 'border-slate-200 dark:border-slate-800'}`}>{f.label} {counts[f.k]}</button>
+        ))}
+      </div>
+      {notes.error && <div className="flex items-center gap-2 text-xs text-red-600"><AlertTriangle size={12}/> {notes.error}</div>}
+      {draft && (
+        <div className="rounded-xl border border-sky-300 dark:border-sky-800 p-3 space-y-2">
+          <div className="text-xs italic text-slate-500 border-l-2 border-sky-300 pl-2 line-clamp-3">{draft.page && <span className="not-italic mr-1">p.{draft.page}</span>}“{draft.quote}”</div>
+          <CommentComposer autoFocus token={token} workspaceId={workspaceId} placeholder="Add a comment…" onCancel={onDraftDone} onSubmit={async (body, mentions) => {
+            const ok = await notes.create({ quote: draft.quote, page: draft.page, prefix: draft.prefix, suffix: draft.suffix, body, mentions })
+            if (ok) onDraftDone()
+            return ok
+          }} />
+        </div>
+      )}
+      {!notes.loading && !shown.length && !draft && (
+        <div className="text-sm text-slate-500">{canComment ? 'No comments here. Select text in the document to start a discussion.' : 'No comments here.'}</div>
+      )}
+      {shown.map(a => (
+        <AnnotationThread key={a.id} a={a} doc={doc} me={me} token={token} workspaceId={workspaceId} canComment={canComment} notes={notes} focused={focused === a.id} found={located.some(m => m.a.id === a.id)} onFocus={()=>onFocus(a.id)} />
+      ))}
+    </aside>
+  )
+}
+
+// Document library organisation: nested folders and free-form / controlled tags
+const TAG_KINDS = [
+  { k: '', label: 'Tag' },
+  { k: 'matter', label: 'Matter no.' },
+  { k: 'client', label: 'Client' },
+  { k: 'type', label: 'Document type' },
+]
+const DOC_TYPES = ['NDA', 'MSA', 'SOW', 'Lease', 'Employment', 'Policy', 'Pleading', 'Correspondence']
+const DOCS_DRAG_TYPE = 'application/x-jurisight-docs'
+
+function tagLabel(tag) {
+  const i = tag.indexOf(':')
+  const kind = i > 0 && TAG_KINDS.find(t => t.k && t.k === tag.slice(0, i))
+  return kind ? `${kind.label} ${tag.slice(i + 1)}` : `#${tag}`
+}
+
+function FolderNode({ folder, childrenOf, depth, current, editable, onSelect, onDropDocs, onCreate, onRename, onDelete }) {
+  const [open, setOpen] = useState(true)
+  const [over, setOver] = useState(false)
+  const kids = childrenOf(folder.id)
+  return (
+    <div>
+      <div
+        onDragOver={(e)=>{ if (editable && e.dataTransfer.types.includes(DOCS_DRAG_TYPE)) { e.preventDefault(); setOver(true) } }}
+        onDragLeave={()=>setOver(false)}
+        onDrop={(e)=>{ e.preventDefault(); setOver(false); onDropDocs(folder.id, JSON.parse(e.dataTransfer.getData(DOCS_DRAG_TYPE) || '[]')) }}
+        style={{ paddingLeft: `${depth * 0.75 + 0.25}rem` }}
+        className={`group flex items-center gap-1 pr-1 py-1 rounded-lg text-sm ${over ? 'ring-2 ring-primary bg-primary/10' : current === folder.id ? 'bg-slate-100 dark:bg-slate-900' : 'hover:bg-slate-50 dark:hover:bg-slate-900'}`}
+      >
+        <button onClick={()=>setOpen(o => !o)} className={`p-0.5 ${kids.length ? '' : 'invisible'}`} aria-label={open ? 'Collapse folder' : 'Expand folder'}>
+          {open ? <ChevronDown size={14}/> : <ChevronRight size={14}/>}
+        </button>
+        <button onClick={()=>onSelect(folder.id)} className="flex-1 min-w-0 text-left truncate inline-flex items-center gap-1.5"><Folder size={14} className="shrink-0"/> {folder.name}</button>
+        {editable && (
+          <>
+            <button onClick={()=>onCreate(folder.id)} aria-label="New subfolder" className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-slate-200 dark:hover:bg-slate-800"><FolderPlus size={12}/></button>
+            <button onClick={()=>onRename(folder)} aria-label="Rename folder" className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-slate-200 dark:hover:bg-slate-800"><Pencil size={12}/></button>
+            <button onClick={()=>onDelete(folder)} aria-label="Delete folder" className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-slate-200 dark:hover:bg-slate-800"><Trash2 size={12}/></button>
+          </>
+        )}
+      </div>
+      {open && kids.map(f => (
+        <FolderNode key={f.id} folder={f} childrenOf={childrenOf} depth={depth + 1} current={current} editable={editable} onSelect={onSelect} onDropDocs={onDropDocs} onCreate={onCreate} onRename={onRename} onDelete={onDelete} />
+      ))}
+    </div>
+  )
+}
+
+function TagForm({ tags, onAdd, disabled }) {
+  const [kind, setKind] = useState('')
+  const [value, setValue] = useState('')
+  const known = useMemo(() => {
+    const prefix = kind ? `${kind}:` : ''
+    return [...new Set(tags.filter(t => (kind ? t.startsWith(prefix) : !t.includes(':'))).map(t => t.slice(prefix.length)))].sort()
+  }, [tags, kind])
+
+  function submit(e) {
+    e.preventDefault()
+    if (!value.trim()) return
+    onAdd(kind ? `${kind}:${value.trim()}` : value.trim())
+    setValue('')
+  }
+
+  return (
+    <form onSubmit={submit} className="inline-flex items-center gap-1">
+      <select value={kind} onChange={e=>{ setKind(e.target.value); setValue('') }} className="border rounded-lg px-1.5 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+        {TAG_KINDS.map(t => <option key={t.k} value={t.k}>{t.label}</option>)}
+      </select>
+      {kind === 'type' ? (
+        <select value={value} onChange={e=>setValue(e.target.value)} className="border rounded-lg px-1.5 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+          <option value="">Select…</option>
+          {DOC_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+      ) : (
+        <>
+          <input list="js-tag-values" value={value} onChange={e=>setValue(e.target.value)} placeholder="value" className="w-28 border rounded-lg px-2 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" />
+          <datalist id="js-tag-values">{known.map(v => <option key={v} value={v} />)}</datalist>
+        </>
+      )}
+      <button disabled={disabled || !value.trim()} className="text-xs px-2 py-1 rounded-lg border border-slate-200 dark:border-slate-700 inline-flex items-center gap-1"><Tag size={12}/> Add</button>
+    </form>
+  )
+}
+
+// Backend processing stages, in order. Documents report the current `stage` and a `status` of processing | ready | failed.
+const PIPELINE_STAGES = [
+  { k: 'uploaded', label: 'Uploaded' },
+  { k: 'extracting', label: 'Text extraction' },
+  { k: 'ocr', label: 'OCR' },
+  { k: 'chunking', label: 'Chunking' },
+  { k: 'embedding', label: 'Embedding' },
+  { k: 'ready', label: 'Ready' },
+]
+
+function pipelineState(d) {
+  const failed = d.status === 'failed' || d.status === 'error'
+  const ready = !failed && (d.stage === 'ready' || ['ready', 'processed', 'indexed'].includes(d.status))
+  const idx = ready ? PIPELINE_STAGES.length - 1 : Math.max(0, PIPELINE_STAGES.findIndex(s => s.k === d.stage))
+  return { idx, ready, failed, stage: PIPELINE_STAGES[idx] }
+}
+
+function PipelineStatus({ doc, onRetry, retrying }) {
+  const { idx, ready, failed, stage } = pipelineState(doc)
+  const skipped = doc.skipped_stages || []
+  return (
+    <div className="mt-3">
+      <div className="flex gap-1" role="progressbar" aria-valuemin={0} aria-valuemax={PIPELINE_STAGES.length - 1} aria-valuenow={idx} aria-valuetext={stage.label}>
+        {PIPELINE_STAGES.map((s, i) => (
+          <div
+            key={s.k}
+            title={`${s.label}${skipped.includes(s.k) ? ' (skipped)' : ''}`}
+            className={`h-1.5 flex-1 rounded-full ${failed && i === idx ? 'bg-red-500' : ready || i < idx ? 'bg-emerald-500' : i === idx ? 'bg-primary animate-pulse' : 'bg-slate-200 dark:bg-slate-800'} ${skipped.includes(s.k) ? 'opacity-30' : ''}`}
+          />
+        ))}
+      </div>
+      <div className="mt-1 flex items-center justify-between gap-2 text-xs">
+        <span className={failed ? 'text-red-600' : ready ? 'text-emerald-600' : 'text-slate-500'}>
+          {failed ? `Failed during ${stage.label.toLowerCase()}` : ready ? 'Ready' : `${stage.label}…${doc.progress != null ? ` ${Math.round(doc.progress)}%` : ''}`}
+        </span>
+        {failed && onRetry && (
+          <button onClick={onRetry} disabled={retrying} className="inline-flex items-center gap-1 text-primary disabled:opacity-50">
+            {retrying ? <Loader2 size={12} className="animate-spin"/> : <RotateCcw size={12}/>} Retry
+          </button>
+        )}
+      </div>
+      {failed && doc.error && <div className="mt-1 text-xs text-red-600">{doc.error}</div>}
+    </div>
+  )
+}
+
+// Summaries are stored per document and template on the server; each generation adds a version.
+// Table templates return `data.rows` keyed by their columns, the executive brief returns `content`.
+const SUMMARY_TEMPLATES = [
+  { k: 'executive', label: 'Executive brief' },
+  { k: 'key_terms', label: 'Key-terms table', columns: [{ k: 'term', label: 'Term' }, { k: 'value', label: 'Value' }] },
+  { k: 'obligations', label: 'Obligations list', columns: [{ k: 'party', label: 'Party' }, { k: 'obligation', label: 'Obligation' }, { k: 'due', label: 'Due' }] },
+  { k: 'timeline', label: 'Timeline of dates', columns: [{ k: 'date', label: 'Date' }, { k: 'event', label: 'Event' }] },
+]
+const summaryTemplate = (k) => SUMMARY_TEMPLATES.find(t => t.k === k) || SUMMARY_TEMPLATES[0]
+const SUMMARY_CONCURRENCY = 2
+
+// Batch summarization queue. Lives in App so jobs keep running while the user moves between sections.
+function useSummaryQueue(token, workspaceId, pushToast) {
+  const [jobs, setJobs] = useState([])
+  const controllers = useRef({})
+  const finished = useRef(0)
+
+  const update = (id, patch) => setJobs(js => js.map(j => (j.id === id ? { ...j, ...patch } : j)))
+  const pendingFor = (docId, template) => jobs.some(j => j.doc.id === docId && j.template === template && (j.status === 'queued' || j.status === 'running'))
+
+  function enqueue(docs, template) {
+    const fresh = docs.filter(d => !pendingFor(d.id, template)).map(d => ({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      doc: { id: d.id, filename: d.filename },
+      template,
+      workspaceId,
+      status: 'queued',
+      error: '',
+    }))
+    setJobs(js => [...js, ...fresh])
+  }
+
+  async function runOne(job) {
+    const ctrl = new AbortController()
+    controllers.current[job.id] = ctrl
+    update(job.id, { status: 'running', error: '' })
+    try {
+      const res = await api(`/api/documents/${job.doc.id}/summaries`, { token, method: 'POST', body: { template: job.template, workspace_id: job.workspaceId }, signal: ctrl.signal })
+      finished.current += 1
+      update(job.id, { status: 'done', summary: res.summary || res })
+    } catch (err) {
+      update(job.id, err.name === 'AbortError' ? { status: 'cancelled' } : { status: 'error', error: err.message })
+    } finally {
+      delete controllers.current[job.id]
+    }
+  }
+
+  // Scheduler: keeps up to SUMMARY_CONCURRENCY requests in flight; announces a batch once the queue drains
+  useEffect(() => {
+    const active = jobs.filter(j => j.status === 'running').length
+    const next = jobs.filter(j => j.status === 'queued').slice(0, Math.max(0, SUMMARY_CONCURRENCY - active))
+    next.forEach(runOne)
+    if (!active && !next.length && finished.current) {
+      pushToast({ title: 'Summaries ready', description: `${finished.current} document${finished.current === 1 ? '' : 's'} summarized` })
+      finished.current = 0
+    }
+  }, [jobs])
+
+  useEffect(() => () => Object.values(controllers.current).forEach(c => c.abort()), [])
+
+  return {
+    jobs,
+    enqueue,
+    pendingFor,
+    cancel: (job) => (controllers.current[job.id] ? controllers.current[job.id].abort() : update(job.id, { status: 'cancelled' })),
+    retry: (job) => update(job.id, { status: 'queued', error: '' }),
+    clearFinished: () => setJobs(js => js.filter(j => j.status === 'queued' || j.status === 'running')),
+  }
+}
+
+const SUMMARY_STATUS_TONES = { ...UPLOAD_STATUS_TONES, running: 'text-primary' }
+
+function summaryText(summary) {
+  const t = summaryTemplate(summary.template)
+  const rows = summary.data?.rows
+  if (!t.columns || !rows?.length) return summary.content || ''
+  return [t.columns.map(c => c.label), ...rows.map(r => t.columns.map(c => r[c.k] ?? ''))].map(l => l.join('\t')).join('\n')
+}
+
+function SummaryContent({ summary }) {
+  const t = summaryTemplate(summary.template)
+  const rows = summary.data?.rows
+  if (!t.columns || !rows?.length) return <div className="text-sm whitespace-pre-wrap leading-relaxed">{summary.content || 'No content.'}</div>
+  return (
+    <table className="w-full text-sm">
+      <thead>
+        <tr className="text-left text-xs text-slate-500 border-b border-slate-200 dark:border-slate-800">
+          {t.columns.map(c => <th key={c.k} className="py-1.5 pr-3 font-medium">{c.label}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map((r, i) => (
+          <tr key={i} className="border-b border-slate-100 dark:border-slate-900 align-top">
+            {t.columns.map(c => <td key={c.k} className="py-1.5 pr-3 whitespace-pre-wrap">{r[c.k] ?? '—'}</td>)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  )
+}
+
+// Saved summaries of one document, per template, with version history and regeneration through the queue
+function SummariesDialog({ token, doc, canGenerate, queue, onClose }) {
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [template, setTemplate] = useState(SUMMARY_TEMPLATES[0].k)
+  const [versionId, setVersionId] = useState('')
+  const completed = queue.jobs.filter(j => j.doc.id === doc?.id && j.status === 'done').length
+  const failure = [...queue.jobs].reverse().find(j => j.doc.id === doc?.id && j.template === template && j.status === 'error')
+
+  useEffect(() => {
+    if (!doc) return
+    let cancelled = false
+    setLoading(true)
+    api(`/api/documents/${doc.id}/summaries`, { token })
+      .then(res => { if (!cancelled) { setVersions(res.summaries || []); setError('') } })
+      .catch(err => { if (!cancelled) setError(err.message) })
+      .finally(() => { if (!cancelled) setLoading(false) })
+    return () => { cancelled = true }
+  }, [doc?.id, completed])
+  useEffect(() => { setVersionId('') }, [doc?.id, template, completed])
+
+  const history = versions.filter(v => v.template === template).sort((a, b) => (b.version || 0) - (a.version || 0))
+  const shown = history.find(v => v.id === versionId) || history[0]
+  const pending = doc && queue.pendingFor(doc.id, template)
+  const t = summaryTemplate(template)
+
+  return (
+    <Dialog.Root open={!!doc} onOpenChange={(o)=>{ if(!o) onClose() }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content aria-describedby={undefined} className="fixed z-50 left-1/2 top-16 -translate-x-1/2 w-[92vw] max-w-3xl max-h-[80vh] flex flex-col rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl p-4">
+          <div className="flex items-center gap-2 mb-3">
+            <Dialog.Title className="font-medium truncate">Summaries · {doc?.filename}</Dialog.Title>
+            <Dialog.Close aria-label="Close" className="ml-auto p-1.5 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800"><X size={16}/></Dialog.Close>
+          </div>
+          <div className="flex flex-wrap gap-1 mb-3">
+            {SUMMARY_TEMPLATES.map(s => {
+              const count = versions.filter(v => v.template === s.k).length
+              return (
+                <button key={s.k} onClick={()=>setTemplate(s.k)} className={`text-xs px-3 py-1.5 rounded-lg border ${template===s.k ? 'border-primary text-primary' : 'border-slate-200 dark:border-slate-800 hover:bg-slate-50 dark:hover:bg-slate-900'}`}>
+                  {s.label}{count > 0 && <span className="ml-1 text-slate-400">{count}</span>}
+                </button>
+              )
+            })}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+            {history.length > 1 && (
+              <select value={shown?.id || ''} onChange={e=>setVersionId(e.target.value)} aria-label="Version" className="border rounded-lg px-1.5 py-1 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                {history.map(v => <option key={v.id} value={v.id}>v{v.version} · {new Date(v.created_at).toLocaleString()}{v.created_by ? ` · ${personName(v.created_by)}` : ''}</option>)}
+              </select>
+            )}
+            {history.length === 1 && shown && <span className="text-slate-500">v{shown.version} · {new Date(shown.created_at).toLocaleString()}{shown.created_by ? ` · ${personName(shown.created_by)}` : ''}</span>}
+            {shown && <button onClick={()=>navigator.clipboard?.writeText(summaryText(shown))} className="px-2 py-1 rounded-lg border border-slate-200 dark:border-slate-800 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-1"><Copy size={12}/> Copy</button>}
+            {shown && t.columns && !!shown.data?.rows?.length && (
+              <ExportMenu onExport={(fmt)=>exportTable(fmt, `${doc.filename} ${t.label} v${shown.version}`, t.columns, shown.data.rows)} />
+            )}
+            {canGenerate && (
+              <button disabled={pending} onClick={()=>queue.enqueue([doc], template)} className="ml-auto px-3 py-1 rounded-lg bg-primary text-white inline-flex items-center gap-1 disabled:opacity-60">
+                {pending ? <><Loader2 size={12} className="animate-spin"/> Generating…</> : history.length ? <><RefreshCw size={12}/> Regenerate</> : 'Generate'}
+              </button>
+            )}
+          </div>
+          {error && <div className="flex items-center gap-2 text-sm text-red-600 mb-2"><AlertTriangle size={16}/> {error}</div>}
+          {failure && !pending && <div className="flex items-center gap-2 text-sm text-red-600 mb-2"><AlertTriangle size={16}/> Last attempt failed: {failure.error}</div>}
+          <div className="flex-1 min-h-0 overflow-auto rounded-xl border border-slate-200 dark:border-slate-800 bg-slate-50 dark:bg-slate-900 p-4">
+            {loading && !versions.length ? (
+              <div className="flex items-center gap-2 text-sm text-slate-500"><Loader2 size={14} className="animate-spin"/> Loading…</div>
+            ) : shown ? (
+              <SummaryContent summary={shown} />
+            ) : (
+              <div className="text-sm text-slate-500">No {t.label.toLowerCase()} yet.{canGenerate ? ' Generate one to save it with this document.' : ''}</div>
+            )}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+function SummaryQueue({ queue, onOpen }) {
+  const { jobs } = queue
+  if (!jobs.length) return null
+  const done = jobs.filter(j => j.status === 'done').length
+  const busy = jobs.some(j => j.status === 'queued' || j.status === 'running')
+  return (
+    <div className="p-4 rounded-xl border bg-slate-50 dark:bg-slate-900 border-slate-200 dark:border-slate-800 space-y-2">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="font-semibold">Summary jobs</span>
+        <span className="text-slate-500">{done} of {jobs.length} done</span>
+        {busy && <Loader2 size={14} className="animate-spin text-slate-400"/>}
+        <button onClick={queue.clearFinished} disabled={jobs.every(j => j.status === 'queued' || j.status === 'running')} className="ml-auto text-xs text-slate-600 dark:text-slate-300 hover:underline disabled:opacity-50">Clear finished</button>
+      </div>
+      {jobs.map(j => (
+        <div key={j.id} className="flex items-center gap-2 text-sm">
+          <FileText size={14} className="shrink-0 text-slate-400"/>
+          <span className="truncate">{j.doc.filename}</span>
+          <span className="text-xs text-slate-400 shrink-0">{summaryTemplate(j.template).label}</span>
+          <span className={`ml-auto shrink-0 text-xs capitalize ${SUMMARY_STATUS_TONES[j.status]}`} title={j.error || undefined}>{j.status}</span>
+          {j.status === 'done' && <button onClick={()=>onOpen(j.doc)} className="text-xs text-primary hover:underline">View</button>}
+          {(j.status === 'queued' || j.status === 'running') && <button onClick={()=>queue.cancel(j)} aria-label={`Cancel ${j.doc.filename}`} title="Cancel" className="p-1 rounded hover:bg-slate-200 dark:hover:bg-slate-800"><X size={12}/></button>}
+          {(j.status === 'error' || j.status === 'cancelled') && <button onClick={()=>queue.retry(j)} aria-label={`Retry ${j.doc.filename}`} title="Retry" className="p-1 rounded hover:bg-slate-200 dark:hover:bg-slate-800"><RotateCcw size={12}/></button>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+// The library is paged by the server: GET /api/documents returns { documents, total, facets, counts } where
+// facets[k] is [{ value, count }] over the filtered set and counts is { all, unfiled } for the workspace.
+const DOCS_PAGE_SIZE = 24
+const DOC_SORTS = [['date', 'Date'], ['name', 'Name'], ['size', 'Size'], ['status', 'Status']]
+const DOC_FACETS = [
+  { k: 'status', label: 'Status' },
+  { k: 'type', label: 'File type' },
+  { k: 'uploader', label: 'Uploader' },
+  { k: 'tag', label: 'Tag', format: tagLabel },
+]
+// Pickers elsewhere (compare, risk, playbook, chat) read the workspace's document index rather than library pages:
+// GET /api/documents/index?workspace_id= → { documents: [{ id, filename, status, stage, access }] }, one compact
+// row per document, so listing every document stays cheap where a filtered, paged /api/documents would not.
+const DocIndexError = ({ error, onRetry }) => (error ? (
+  <div role="alert" className="flex items-center gap-2 text-sm text-red-600">
+    <AlertTriangle size={16}/> Could not load the document list: {error}
+    <button type="button" onClick={onRetry} className="underline">Retry</button>
+  </div>
+) : null)
+
+// Structured contract data. Every extracted value keeps the passage it came from ({ quote, page }) so it can be
+// checked in the viewer; corrections are saved back and flagged as edited.
+const EXTRACTION_FIELDS = [
+  { k: 'parties', label: 'Parties' },
+  { k: 'effective_date', label: 'Effective date' },
+  { k: 'term', label: 'Term' },
+  { k: 'renewal', label: 'Renewal' },
+  { k: 'notice_period', label: 'Notice period' },
+  { k: 'payment_terms', label: 'Payment terms' },
+  { k: 'governing_law', label: 'Governing law' },
+  { k: 'liability_cap', label: 'Liability cap' },
+]
+const OBLIGATION_COLUMNS = [{ k: 'owner', label: 'Owner' }, { k: 'obligation', label: 'Obligation' }, { k: 'due', label: 'Due' }]
+
+const extractionPath = (docId, rest = '') => `/api/documents/${docId}/extraction${rest}`
+
+function EditableValue({ value, editable, onSave }) {
+  const [editing, setEditing] = useState(false)
+  const [draft, setDraft] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+
+  async function save() {
+    if (draft.trim() === (value || '')) return setEditing(false)
+    setBusy(true)
+    setError('')
+    try {
+      await onSave(draft.trim())
+      setEditing(false)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  if (editing) return (
+    <span className="flex items-center gap-1">
+      <input autoFocus value={draft} disabled={busy} onChange={e=>setDraft(e.target.value)} onKeyDown={(e)=>{ if (e.key === 'Enter') save(); if (e.key === 'Escape') setEditing(false) }} className="flex-1 min-w-[8rem] border rounded-lg px-1.5 py-0.5 text-sm bg-white dark:bg-slate-950 border-primary" />
+      <button onClick={save} disabled={busy} aria-label="Save value" className="p-0.5 rounded hover:bg-slate-100 dark:hover:bg-slate-800">{busy ? <Loader2 size={12} className="animate-spin"/> : <Check size={12}/>}</button>
+      {error && <span title={error}><AlertTriangle size={12} className="text-red-600"/></span>}
+    </span>
+  )
+  return (
+    <span className="group inline-flex items-start gap-1">
+      <span className={value ? 'whitespace-pre-wrap' : 'text-slate-400'}>{value || '—'}</span>
+      {editable && <button onClick={()=>{ setDraft(value || ''); setEditing(true) }} aria-label="Edit value" className="opacity-0 group-hover:opacity-100 p-0.5 rounded hover:bg-slate-100 dark:hover:bg-slate-800"><Pencil size={11}/></button>}
+    </span>
+  )
+}
+
+function SourceLink({ source, onOpen }) {
+  if (!source?.quote) return null
+  return (
+    <button onClick={()=>onOpen(source)} title={`${source.page ? `p.${source.page}: ` : ''}“${source.quote}”`} aria-label="Show source passage" className="p-0.5 rounded text-slate-400 hover:text-primary hover:bg-slate-100 dark:hover:bg-slate-800 shrink-0"><TextQuote size={12}/></button>
+  )
+}
+
+const EditedBadge = ({ item }) => (item?.edited ? <span className="text-[10px] px-1 rounded bg-amber-100 text-amber-700 dark:bg-amber-950 dark:text-amber-300 shrink-0" title={item.edited_by ? `Edited by ${personName(item.edited_by)}` : 'Edited'}>edited</span> : null)
+
+// Per-document key terms and obligations
+function ExtractionDialog({ token, doc, canEdit, canRun, onOpenSource, onChanged, onClose }) {
+  const [extraction, setExtraction] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!doc) return
+    let cancelled = false
+    setExtraction(null)
+    setError('')
+    setLoading(true)
+    api(extractionPath(doc.id), { token })
+      .then(res => { if (!cancelled) setExtraction(res.extraction || null) })
+      .catch(err => { if (!cancelled) setError(err.message) })
+      .finally(() => { if (!cancelled) setLoading(false) })
+    return () => { cancelled = true }
+  }, [doc?.id])
+
+  async function run() {
+    const edited = extraction && (Object.values(extraction.fields || {}).some(f => f?.edited) || (extraction.obligations || []).some(o => o.edited))
+    if (edited && !window.confirm('Running the extraction again replaces the values that were corrected by hand. Continue?')) return
+    setRunning(true)
+    setError('')
+    try {
+      const res = await api(extractionPath(doc.id), { token, method: 'POST' })
+      setExtraction(res.extraction || null)
+      onChanged?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRunning(false)
+    }
+  }
+  async function patch(path, init) {
+    const res = await api(extractionPath(doc.id, path), { token, ...init })
+    setExtraction(res.extraction || null)
+    onChanged?.()
+  }
+
+  const obligations = extraction?.obligations || []
+
+  return (
+    <Dialog.Root open={!!doc} onOpenChange={(o)=>{ if(!o) onClose() }}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 z-40 bg-black/30" />
+        <Dialog.Content aria-describedby={undefined} onEscapeKeyDown={(e)=>{ if (e.target instanceof HTMLInputElement) e.preventDefault() }} className="fixed z-50 left-1/2 top-16 -translate-x-1/2 w-[92vw] max-w-3xl max-h-[80vh] flex flex-col rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl p-4">
+          <div className="flex items-center gap-2 mb-3">
+            <Dialog.Title className="font-medium truncate">Key terms · {doc?.filename}</Dialog.Title>
+            {extraction?.extracted_at && <span className="text-xs text-slate-500 shrink-0">Extracted {new Date(extraction.extracted_at).toLocaleString()}</span>}
+            {canRun && (
+              <button onClick={run} disabled={running} className="ml-auto text-xs px-3 py-1 rounded-lg bg-primary text-white inline-flex items-center gap-1 disabled:opacity-60">
+                {running ? <><Loader2 size={12} className="animate-spin"/> Extracting…</> : extraction ? <><RefreshCw size={12}/> Re-extract</> : 'Extract'}
+              </button>
+            )}
+            <Dialog.Close aria-label="Close" className={`${canRun ? '' : 'ml-auto '}p-1.5 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800`}><X size={16}/></Dialog.Close>
+          </div>
+          {error && <div className="flex items-center gap-2 text-sm text-red-600 mb-2"><AlertTriangle size={16}/> {error}</div>}
+          <div className="flex-1 min-h-0 overflow-auto space-y-4">
+            {loading ? (
+              <div className="flex items-center gap-2 text-sm text-slate-500"><Loader2 size={14} className="animate-spin"/> Loading…</div>
+            ) : !extraction ? (
+              <div className="text-sm text-slate-500">No key terms extracted yet.{canRun ? ' Run the extraction to pull parties, dates, terms and obligations out of this document.' : ''}</div>
+            ) : (
+              <>
+                <table className="w-full text-sm">
+                  <tbody>
+                    {EXTRACTION_FIELDS.map(f => {
+                      const item = extraction.fields?.[f.k]
+                      return (
+                        <tr key={f.k} className="border-b border-slate-100 dark:border-slate-900 align-top">
+                          <th className="py-1.5 pr-3 text-left text-xs font-medium text-slate-500 w-36">{f.label}</th>
+                          <td className="py-1.5 pr-2"><EditableValue value={item?.value} editable={canEdit} onSave={(value)=>patch(`/fields/${f.k}`, { method: 'PATCH', body: { value } })} /></td>
+                          <td className="py-1.5 w-24">
+                            <div className="flex items-center justify-end gap-1">
+                              <EditedBadge item={item} />
+                              {item?.confidence != null && !item.edited && <span className="text-xs text-slate-400">{Math.round(item.confidence * 100)}%</span>}
+                              <SourceLink source={item?.source} onOpen={(s)=>onOpenSource(doc, s)} />
+                            </div>
+                          </td>
+                        </tr>
+                      )
+                    })}
+                  </tbody>
+                </table>
+                <div>
+                  <div className="text-sm font-semibold mb-1 inline-flex items-center gap-1"><ListChecks size={14}/> Obligations</div>
+                  {!obligations.length ? (
+                    <div className="text-sm text-slate-500">No obligations found.</div>
+                  ) : (
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-xs text-slate-500 border-b border-slate-200 dark:border-slate-800">
+                          {OBLIGATION_COLUMNS.map(c => <th key={c.k} className="py-1.5 pr-3 font-medium">{c.label}</th>)}
+                          <th className="w-16"/>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {obligations.map(o => (
+                          <tr key={o.id} className="border-b border-slate-100 dark:border-slate-900 align-top">
+                            {OBLIGATION_COLUMNS.map(c => (
+                              <td key={c.k} className="py-1.5 pr-3"><EditableValue value={o[c.k]} editable={canEdit} onSave={(value)=>patch(`/obligations/${o.id}`, { method: 'PATCH', body: { [c.k]: value } })} /></td>
+                            ))}
+                            <td className="py-1.5">
+                              <div className="flex items-center justify-end gap-1">
+                                <EditedBadge item={o} />
+                                <SourceLink source={o.source} onOpen={(s)=>onOpenSource(doc, s)} />
+                                {canEdit && <button onClick={()=>patch(`/obligations/${o.id}`, { method: 'DELETE' }).catch(err => setError(err.message))} aria-label="Remove obligation" className="p-0.5 rounded text-slate-400 hover:text-red-600 hover:bg-slate-100 dark:hover:bg-slate-800"><Trash2 size={12}/></button>}
+                              </div>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  )
+}
+
+const EXTRACTION_TABLE_COLUMNS = [{ k: 'filename', label: 'Document' }, ...EXTRACTION_FIELDS]
+const OBLIGATION_TABLE_COLUMNS = [{ k: 'filename', label: 'Document' }, ...OBLIGATION_COLUMNS]
+
+// Cross-document key terms and obligations for the documents matching the library filters
+function ExtractionTable({ token, query, revision, docs, can, onOpenSource, onOpenExtraction }) {
+  const [data, setData] = useState({ extractions: [], missing: [] })
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [tab, setTab] = useState('terms') // terms | obligations
+  const [progress, setProgress] = useState(null) // { done, total } while extracting missing documents
+  const [reload, setReload] = useState(0)
+
+  // A slow response for an earlier filter must not overwrite the current one
+  useEffect(() => {
+    let cancelled = false
+    setLoading(true)
+    api(`/api/extractions${query}`, { token })
+      .then(res => { if (!cancelled) { setData({ extractions: res.extractions || [], missing: res.missing || [] }); setError('') } })
+      .catch(err => { if (!cancelled) setError(err.message) })
+      .finally(() => { if (!cancelled) setLoading(false) })
+    return () => { cancelled = true }
+  }, [token, query, revision, reload])
+
+  const docOf = (row) => docs.find(d => d.id === row.document_id) || { id: row.document_id, filename: row.filename, access: row.access }
+  function replace(extraction) {
+    setData(d => ({ ...d, extractions: d.extractions.map(x => (x.document_id === extraction.document_id ? { ...x, ...extraction } : x)) }))
+  }
+  async function patch(row, path, init) {
+    const res = await api(extractionPath(row.document_id, path), { token, ...init })
+    if (res.extraction) replace(res.extraction)
+  }
+  async function extractMissing() {
+    const list = data.missing
+    setProgress({ done: 0, total: list.length })
+    for (const [i, d] of list.entries()) {
+      try {
+        await api(extractionPath(d.id), { token, method: 'POST' })
+      } catch (err) {
+        setError(`${d.filename}: ${err.message}`)
+      }
+      setProgress({ done: i + 1, total: list.length })
+    }
+    setProgress(null)
+    setReload(n => n + 1)
+  }
+
+  const termRows = data.extractions.map(x => ({ filename: x.filename, ...Object.fromEntries(EXTRACTION_FIELDS.map(f => [f.k, x.fields?.[f.k]?.value || ''])) }))
+  const obligationRows = data.extractions.flatMap(x => (x.obligations || []).map(o => ({ ...o, filename: x.filename, row: x })))
+  const period = new Date().toISOString().slice(0, 10)
+  async function exportWorkbook() {
+    downloadBlob(await tableXlsx([
+      { name: 'Key terms', columns: EXTRACTION_TABLE_COLUMNS, rows: termRows },
+      { name: 'Obligations', columns: OBLIGATION_TABLE_COLUMNS, rows: obligationRows },
+    ]), `${slugify(`jurisight key terms ${period}`)}.xlsx`)
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        {[['terms', 'Key terms'], ['obligations', 'Obligations']].map(([k, label]) => (
+          <button key={k} onClick={()=>setTab(k)} className={`px-3 py-1 rounded-lg border text-xs ${tab===k ? 'border-primary text-primary' : 'border-slate-200 dark:border-slate-800'}`}>{label}</button>
+        ))}
+        {loading && <Loader2 size={14} className="animate-spin text-slate-400"/>}
+        <div className="ml-auto flex items-center gap-2">
+          {can('ai.analyze') && !!data.missing.length && (
+            <button onClick={extractMissing} disabled={!!progress} className="text-xs px-3 py-1 rounded-lg bg-primary text-white inline-flex items-center gap-1 disabled:opacity-60">
+              {progress ? <><Loader2 size={12} className="animate-spin"/> Extracting {progress.done}/{progress.total}…</> : `Extract ${data.missing.length} remaining`}
+            </button>
+          )}
+          <ExportMenu disabled={!data.extractions.length} onExport={(fmt)=>(tab === 'terms'
+            ? exportTable(fmt, `key terms ${period}`, EXTRACTION_TABLE_COLUMNS, termRows)
+            : exportTable(fmt, `obligations ${period}`, OBLIGATION_TABLE_COLUMNS, obligationRows))} />
+          <WorkbookButton compact disabled={!data.extractions.length} onExport={exportWorkbook} />
+        </div>
+      </div>
+      {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {error}</div>}
+      {!loading && !data.extractions.length ? (
+        <div className="text-sm text-slate-500">No key terms extracted for these documents yet.</div>
+      ) : (
+        <div className="overflow-auto rounded-xl border border-slate-200 dark:border-slate-800">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50 dark:bg-slate-900">
+              <tr className="text-left text-xs text-slate-500">
+                {(tab === 'terms' ? EXTRACTION_TABLE_COLUMNS : OBLIGATION_TABLE_COLUMNS).map(c => <th key={c.k} className="py-2 px-3 font-medium whitespace-nowrap">{c.label}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {tab === 'terms' ? data.extractions.map(x => {
+                const doc = docOf(x)
+                const editable = can('documents.edit', doc)
+                return (
+                  <tr key={x.document_id} className="border-t border-slate-100 dark:border-slate-900 align-top">
+                    <td className="py-2 px-3 max-w-[14rem]"><button onClick={()=>onOpenExtraction(doc)} className="truncate max-w-full text-left text-primary hover:underline">{x.filename}</button></td>
+                    {EXTRACTION_FIELDS.map(f => {
+                      const item = x.fields?.[f.k]
+                      return (
+                        <td key={f.k} className="py-2 px-3 min-w-[9rem]">
+                          <div className="flex items-start gap-1">
+                            <EditableValue value={item?.value} editable={editable} onSave={(value)=>patch(x, `/fields/${f.k}`, { method: 'PATCH', body: { value } })} />
+                            <EditedBadge item={item} />
+                            <SourceLink source={item?.source} onOpen={(s)=>onOpenSource(doc, s)} />
+                          </div>
+                        </td>
+                      )
+                    })}
+                  </tr>
+                )
+              }) : obligationRows.map(o => {
+                const doc = docOf(o.row)
+                return (
+                  <tr key={`${o.row.document_id}-${o.id}`} className="border-t border-slate-100 dark:border-slate-900 align-top">
+                    <td className="py-2 px-3 max-w-[14rem]"><button onClick={()=>onOpenExtraction(doc)} className="truncate max-w-full text-left text-primary hover:underline">{o.filename}</button></td>
+                    {OBLIGATION_COLUMNS.map(c => (
+                      <td key={c.k} className="py-2 px-3 min-w-[9rem]">
+                        <div className="flex items-start gap-1">
+                          <EditableValue value={o[c.k]} editable={can('documents.edit', doc)} onSave={(value)=>patch(o.row, `/obligations/${o.id}`, { method: 'PATCH', body: { [c.k]: value } })} />
+                          {c.k === 'obligation' && <><EditedBadge item={o} /><SourceLink source={o.source} onOpen={(s)=>onOpenSource(doc, s)} /></>}
+                        </div>
+                      </td>
+                    ))}
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function DocumentsPanel({ token, user, docs, docId, revision, live = {}, can, summaryQueue, onRefresh, workspaceId }) {
+  const [retryingId, setRetryingId] = useState('')
+  const [sharing, setSharing] = useState(null)
+  const [summarizing, setSummarizing] = useState(null)
+  const [extracting, setExtracting] = useState(null)
+  const [extractRev, setExtractRev] = useState(0)
+  const [batchTemplate, setBatchTemplate] = useState(SUMMARY_TEMPLATES[0].k)
+  const [params, setParams] = useSearchParams()
+  const navigate = useNavigate()
+  const [linked, setLinked] = useState(null)
+  const [folders, setFolders] = useState([])
+  const [listing, setListing] = useState({ documents: [], total: 0, facets: null, counts: null, loading: true })
+  const [selected, setSelected] = useState(() => new Set())
+  const [bulkBusy, setBulkBusy] = useState(false)
+  const [error, setError] = useState('')
+  const [nameDialog, setNameDialog] = useState(null)
+  const filters = {
+    sort: params.get('sort') || 'date',
+    order: params.get('order') || 'desc',
+    folder: params.get('folder') || 'all', // all | unfiled | folder id
+    status: params.get('status') || '',
+    type: params.get('type') || '',
+    uploader: params.get('uploader') || '',
+    tag: params.get('tag') || '',
+    from: params.get('from') || '',
+    to: params.get('to') || '',
+    p: Number(params.get('p')) || 1,
+    view: params.get('view') || 'cards', // cards | terms
+  }
+  const folder = filters.folder
+  const viewing = docId ? [...listing.documents, linked].find(d => d?.id === docId) : null
+  const highlight = useMemo(() => {
+    const page = Number(params.get('page')) || undefined
+    const quote = params.get('q') || ''
+    return page || quote ? { page, quote } : null
+  }, [params])
+
+  async function loadFolders() {
+    try {
+      const res = await api(`/api/folders${qs({ workspace_id: workspaceId })}`, { token })
+      setFolders(res.folders || [])
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const filterParams = {
+    workspace_id: workspaceId,
+    sort: filters.sort,
+    order: filters.order,
+    folder_id: folder === 'all' ? '' : folder === 'unfiled' ? 'none' : folder,
+    status: filters.status,
+    type: filters.type,
+    uploader: filters.uploader,
+    tag: filters.tag,
+    from: filters.from,
+    to: filters.to,
+  }
+  const listQuery = qs({ ...filterParams, page: filters.p, page_size: DOCS_PAGE_SIZE })
+
+  useEffect(() => { if (workspaceId) loadFolders() }, [token, workspaceId])
+  useEffect(() => {
+    if (!workspaceId) return
+    let cancelled = false
+    setListing(l => ({ ...l, loading: true }))
+    api(`/api/documents${listQuery}`, { token })
+      .then(res => { if (!cancelled) setListing({ documents: res.documents || [], total: res.total ?? (res.documents || []).length, facets: res.facets || null, counts: res.counts || null, loading: false }) })
+      .catch(err => { if (!cancelled) { setError(err.message); setListing(l => ({ ...l, loading: false })) } })
+    return () => { cancelled = true }
+  }, [token, listQuery, revision])
+  useEffect(() => { setSelected(s => new Set([...s].filter(id => listing.documents.some(d => d.id === id)))) }, [listing.documents])
+  // Deep links can point outside the current page of results (or at a document shared from elsewhere)
+  useEffect(() => {
+    if (!docId || viewing || listing.loading) return
+    let cancelled = false
+    api(`/api/documents/${docId}`, { token })
+      .then(res => { if (!cancelled) setLinked(res.document || res) })
+      .catch(err => { if (!cancelled) setError(`Could not open the linked document: ${err.message}`) })
+    return () => { cancelled = true }
+  }, [token, docId, !!viewing, listing.loading])
+
+  function setFilter(patch) {
+    setParams(prev => {
+      const next = new URLSearchParams(prev)
+      Object.entries(patch).forEach(([k, v]) => (v && v !== 'all' ? next.set(k, v) : next.delete(k)))
+      if (!('p' in patch)) next.delete('p')
+      return next
+    })
+  }
+  function clearFilters() {
+    setFilter({ status: '', type: '', uploader: '', tag: '', from: '', to: '' })
+  }
+  // The viewer lives at /documents/:id and keeps the library filters in the query string
+  function listSearch() {
+    const next = new URLSearchParams(params)
+    ;['page', 'q', 'comment'].forEach(k => next.delete(k))
+    const str = next.toString()
+    return str ? `?${str}` : ''
+  }
+  function openDoc(id, cite) {
+    const search = new URLSearchParams(listSearch())
+    if (cite?.page) search.set('page', cite.page)
+    if (cite?.quote) search.set('q', cite.quote.slice(0, 300))
+    navigate({ pathname: `${TAB_PATHS.documents}/${id}`, search: search.toString() ? `?${search}` : '' })
+  }
+  function closeDoc() {
+    navigate({ pathname: TAB_PATHS.documents, search: listSearch() })
+  }
+
+  const childrenOf = (id) => folders.filter(f => (f.parent_id || null) === id).sort((a, b) => a.name.localeCompare(b.name))
+  const facetValues = (facet) => listing.facets?.[facet.k] || []
+  const tags = facetValues(DOC_FACETS[3]).map(f => f.value)
+  const shown = listing.documents.map(d => live[d.id] ? { ...d, ...live[d.id] } : d)
+  const pages = Math.max(1, Math.ceil(listing.total / DOCS_PAGE_SIZE))
+  const filtered = DOC_FACETS.some(f => filters[f.k]) || filters.from || filters.to
+  const allSelected = shown.length > 0 && shown.every(d => selected.has(d.id))
+  const selectedDocs = shown.filter(d => selected.has(d.id))
+  const canAll = (action) => selectedDocs.every(d => can(action, d))
+
+  function toggle(id) {
+    setSelected(s => {
+      const next = new Set(s)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+  function toggleAll() {
+    setSelected(allSelected ? new Set() : new Set(shown.map(d => d.id)))
+  }
+
+  async function bulk(action, extra = {}, ids = [...selected]) {
+    if (!ids.length) return
+    if (action === 'delete' && !window.confirm(`Delete ${ids.length} document${ids.length > 1 ? 's' : ''}? This cannot be undone.`)) return
+    setBulkBusy(true)
+    setError('')
+    try {
+      await api('/api/documents/bulk', { token, method: 'POST', body: { action, ids, ...extra } })
+      if (action === 'delete') setSelected(new Set())
+      onRefresh()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBulkBusy(false)
+    }
+  }
+
+  async function reprocess(id) {
+    setRetryingId(id)
+    setError('')
+    try {
+      await api(`/api/documents/${id}/reprocess`, { token, method: 'POST' })
+      onRefresh()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setRetryingId('')
+    }
+  }
+
+  function summarizeSelected() {
+    summaryQueue.enqueue(selectedDocs, batchTemplate)
+    setSelected(new Set())
+  }
+
+  function createFolder(parentId = null) {
+    setNameDialog({
+      title: parentId ? 'New subfolder' : 'New folder',
+      placeholder: 'Folder name',
+      initial: '',
+      onSubmit: async (name) => {
+        await api('/api/folders', { token, method: 'POST', body: { name, parent_id: parentId, workspace_id: workspaceId } })
+        await loadFolders()
+      },
+    })
+  }
+  function renameFolder(f) {
+    setNameDialog({
+      title: 'Rename folder',
+      placeholder: 'Folder name',
+      initial: f.name,
+      onSubmit: async (name) => {
+        await api(`/api/folders/${f.id}`, { token, method: 'PATCH', body: { name } })
+        setFolders(fs => fs.map(x => (x.id === f.id ? { ...x, name } : x)))
+      },
+    })
+  }
+  async function deleteFolder(f) {
+    if (!window.confirm(`Delete folder “${f.name}”? Its documents and subfolders move to the parent folder.`)) return
+    try {
+      await api(`/api/folders/${f.id}`, { token, method: 'DELETE' })
+      if (folder === f.id) setFilter({ folder: 'all' })
+      await loadFolders()
+      onRefresh()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+  function dropDocs(folderId, ids) {
+    bulk('move', { folder_id: folderId }, ids)
+  }
+
+  const rootDrop = {
+    onDragOver: (e) => { if (can('documents.edit') && e.dataTransfer.types.includes(DOCS_DRAG_TYPE)) e.preventDefault() },
+    onDrop: (e) => { e.preventDefault(); dropDocs(null, JSON.parse(e.dataTransfer.getData(DOCS_DRAG_TYPE) || '[]')) },
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="font-semibold">Your documents</h3>
+        <div className="flex items-center gap-3">
+          <div className="inline-flex rounded-lg border border-slate-200 dark:border-slate-800 text-xs overflow-hidden">
+            {[['cards', 'Documents'], ['terms', 'Key terms']].map(([k, label]) => (
+              <button key={k} onClick={()=>setFilter({ view: k === 'cards' ? '' : k })} className={`px-3 py-1 ${filters.view===k ? 'bg-primary text-white' : 'hover:bg-slate-50 dark:hover:bg-slate-800'}`}>{label}</button>
+            ))}
+          </div>
+          <button onClick={onRefresh} className="text-sm text-slate-600 dark:text-slate-300 hover:underline">Refresh</button>
+        </div>
+      </div>
+      {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {error}</div>}
+      <div className="flex gap-4">
+        <aside className="hidden md:block w-56 shrink-0 space-y-1 border-r border-slate-200 dark:border-slate-800 pr-3">
+          <div className="flex items-center justify-between text-xs uppercase text-slate-500 px-1 mb-1">
+            Folders
+            {can('documents.edit') && <button onClick={()=>createFolder(null)} aria-label="New folder" className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800"><FolderPlus size={14}/></button>}
+          </div>
+          <button onClick={()=>setFilter({ folder: 'all' })} className={`w-full text-left px-2 py-1 rounded-lg text-sm ${folder==='all' ? 'bg-slate-100 dark:bg-slate-900' : 'hover:bg-slate-50 dark:hover:bg-slate-900'}`}>All documents <span className="text-xs text-slate-400">{listing.counts?.all ?? ''}</span></button>
+          <button {...rootDrop} onClick={()=>setFilter({ folder: 'unfiled' })} className={`w-full text-left px-2 py-1 rounded-lg text-sm ${folder==='unfiled' ? 'bg-slate-100 dark:bg-slate-900' : 'hover:bg-slate-50 dark:hover:bg-slate-900'}`}>Unfiled <span className="text-xs text-slate-400">{listing.counts?.unfiled ?? ''}</span></button>
+          {childrenOf(null).map(f => (
+            <FolderNode key={f.id} folder={f} childrenOf={childrenOf} depth={0} current={folder} editable={can('documents.edit')} onSelect={(id)=>setFilter({ folder: id })} onDropDocs={dropDocs} onCreate={createFolder} onRename={renameFolder} onDelete={deleteFolder} />
+          ))}
+          {!!tags.length && (
+            <div className="pt-3">
+              <div className="text-xs uppercase text-slate-500 px-1 mb-1">Tags</div>
+              <div className="flex flex-wrap gap-1">
+                {tags.map(t => (
+                  <button key={t} onClick={()=>setFilter({ tag: filters.tag === t ? '' : t })} className={`text-xs px-2 py-0.5 rounded ${filters.tag===t ? 'bg-primary text-white' : 'bg-primary/10 text-primary'}`}>{tagLabel(t)}</button>
+                ))}
+              </div>
+            </div>
+          )}
+        </aside>
+        <div className="flex-1 min-w-0 space-y-3">
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            {DOC_FACETS.map(f => (
+              <select key={f.k} value={filters[f.k]} onChange={e=>setFilter({ [f.k]: e.target.value })} aria-label={f.label} className={`border rounded-lg px-1.5 py-1 bg-white dark:bg-slate-950 ${filters[f.k] ? 'border-primary' : 'border-slate-200 dark:border-slate-800'}`}>
+                <option value="">{f.label}: any</option>
+                {facetValues(f).map(v => <option key={v.value} value={v.value}>{(f.format || String)(v.value)} ({v.count})</option>)}
+              </select>
+            ))}
+            <label className="inline-flex items-center gap-1 text-slate-500">From <input type="date" value={filters.from} onChange={e=>setFilter({ from: e.target.value })} className="border rounded-lg px-1.5 py-0.5 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" /></label>
+            <label className="inline-flex items-center gap-1 text-slate-500">To <input type="date" value={filters.to} onChange={e=>setFilter({ to: e.target.value })} className="border rounded-lg px-1.5 py-0.5 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" /></label>
+            {filtered && <button onClick={clearFilters} className="text-primary hover:underline">Clear filters</button>}
+            <div className="ml-auto inline-flex items-center gap-1">
+              <select value={filters.sort} onChange={e=>setFilter({ sort: e.target.value === 'date' ? '' : e.target.value })} aria-label="Sort by" className="border rounded-lg px-1.5 py-1 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                {DOC_SORTS.map(([k, label]) => <option key={k} value={k}>Sort: {label}</option>)}
+              </select>
+              <button onClick={()=>setFilter({ order: filters.order === 'desc' ? 'asc' : '' })} aria-label="Toggle sort order" className="p-1 rounded-lg border border-slate-200 dark:border-slate-800">
+                {filters.order === 'desc' ? <ArrowDown size={14}/> : <ArrowUp size={14}/>}
+              </button>
+            </div>
+          </div>
+          {filters.view === 'terms' ? (
+            <ExtractionTable token={token} query={qs(filterParams)} revision={extractRev} docs={docs} can={can} onOpenSource={(d, s)=>openDoc(d.id, s)} onOpenExtraction={setExtracting} />
+          ) : (
+            <>
+              {!listing.loading && shown.length > 0 && (
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                  <label className="inline-flex items-center gap-2 text-slate-600 dark:text-slate-300">
+                    <input type="checkbox" checked={allSelected} onChange={toggleAll} /> {selected.size ? `${selected.size} selected` : 'Select all'}
+                  </label>
+                  {selected.size > 0 && (
+                    <div className="flex flex-wrap items-center gap-2 ml-auto">
+                      {can('documents.edit') && (
+                        <>
+                          <select value="" disabled={bulkBusy || !canAll('documents.edit')} title={canAll('documents.edit') ? undefined : 'Some selected documents are read-only'} onChange={e=>bulk('move', { folder_id: e.target.value === 'unfiled' ? null : e.target.value })} className="border rounded-lg px-1.5 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 disabled:opacity-50">
+                            <option value="">Move to…</option>
+                            <option value="unfiled">Unfiled</option>
+                            {folders.map(f => <option key={f.id} value={f.id}>{f.name}</option>)}
+                          </select>
+                          <TagForm tags={tags} disabled={bulkBusy || !canAll('documents.edit')} onAdd={(tag)=>bulk('tag', { tags: [tag] })} />
+                        </>
+                      )}
+                      {can('ai.analyze') && (
+                        <>
+                          <select value={batchTemplate} onChange={e=>setBatchTemplate(e.target.value)} aria-label="Summary template" className="border rounded-lg px-1.5 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                            {SUMMARY_TEMPLATES.map(t => <option key={t.k} value={t.k}>{t.label}</option>)}
+                          </select>
+                          <button disabled={bulkBusy} onClick={summarizeSelected} className="text-xs px-3 py-1 rounded-lg bg-primary text-white">Summarize</button>
+                        </>
+                      )}
+                      {can('documents.delete') && <button disabled={bulkBusy || !canAll('documents.delete')} onClick={()=>bulk('delete')} className="text-xs px-3 py-1 rounded-lg border border-red-200 text-red-600 inline-flex items-center gap-1 disabled:opacity-50"><Trash2 size={12}/> Delete</button>}
+                      {bulkBusy && <Loader2 size={14} className="animate-spin text-slate-400"/>}
+                    </div>
+                  )}
+                </div>
+              )}
+              {listing.loading ? (
+                <div className="animate-pulse h-24 rounded-xl bg-slate-100 dark:bg-slate-900"/>
+              ) : shown.length === 0 ? (
+                <div className="text-sm text-slate-500">{listing.counts?.all ? 'No documents match.' : 'No documents yet.'}</div>
+              ) : (
+                <div className="grid md:grid-cols-2 gap-4">
+                  {shown.map(d => (
+                    <div
+                      key={d.id}
+                      draggable={can('documents.edit', d)}
+                      onDragStart={(e)=>{ e.dataTransfer.setData(DOCS_DRAG_TYPE, JSON.stringify(selected.has(d.id) ? [...selected] : [d.id])); e.dataTransfer.effectAllowed = 'move' }}
+                      className={`p-4 rounded-xl border bg-white dark:bg-slate-950 ${selected.has(d.id) ? 'border-primary' : 'border-slate-200 dark:border-slate-800'}`}
+                    >
+                      <div className="flex items-start gap-2">
+                        <input type="checkbox" checked={selected.has(d.id)} onChange={()=>toggle(d.id)} aria-label={`Select ${d.filename}`} className="mt-1" />
+                        <div className="min-w-0">
+                          <div className="font-medium text-slate-900 dark:text-white truncate">{d.filename}</div>
+                          {SHARE_ACCESS[d.access] && <div className="text-xs text-slate-500 inline-flex items-center gap-1"><Users size={12}/> Shared with you · {SHARE_ACCESS[d.access].label.toLowerCase()}</div>}
+                          {d.open_comments > 0 && <button onClick={()=>openDoc(d.id)} className="text-xs text-sky-700 dark:text-sky-300 hover:underline flex items-center gap-1"><MessageSquareText size={12}/> {d.open_comments} open comment{d.open_comments === 1 ? '' : 's'}</button>}
+                          <div className="text-xs text-slate-500">{Math.round((d.size||0)/1024)} KB{d.created_at && ` • ${new Date(d.created_at).toLocaleDateString()}`}{d.uploaded_by && ` • ${d.uploaded_by}`}{d.folder_id && ` • ${folders.find(f => f.id === d.folder_id)?.name || ''}`}</div>
+                        </div>
+                      </div>
+                      {!!d.tags?.length && (
+                        <div className="mt-2 flex flex-wrap gap-1">
+                          {d.tags.map(t => (
+                            <span key={t} className="text-xs px-2 py-0.5 rounded bg-primary/10 text-primary inline-flex items-center gap-1">
+                              {tagLabel(t)}
+                              {can('documents.edit', d) && <button onClick={()=>bulk('untag', { tags: [t] }, [d.id])} aria-label={`Remove tag ${t}`}><X size={10}/></button>}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <PipelineStatus doc={d} retrying={retryingId===d.id} onRetry={can('documents.edit', d) ? ()=>reprocess(d.id) : undefined} />
+                      <div className="mt-3 flex gap-2">
+                        <button onClick={()=>openDoc(d.id)} className="text-xs px-3 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-1"><BookOpen size={14}/> Open</button>
+                        <button onClick={()=>setSummarizing(d)} className="text-xs px-3 py-1.5 rounded-xl bg-primary text-white inline-flex items-center gap-1">
+                          {summaryQueue.jobs.some(j => j.doc.id === d.id && (j.status === 'queued' || j.status === 'running')) && <Loader2 size={12} className="animate-spin"/>} Summaries
+                        </button>
+                        <button onClick={()=>setExtracting(d)} className="text-xs px-3 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-1"><ListChecks size={14}/> Key terms</button>
+                        {can('documents.share', d) && <button onClick={()=>setSharing(d)} className="text-xs px-3 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-1"><Share2 size={14}/> Share</button>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {listing.total > 0 && (
+                <div className="flex items-center justify-between text-sm text-slate-500">
+                  <span>{(filters.p - 1) * DOCS_PAGE_SIZE + 1}–{Math.min(filters.p * DOCS_PAGE_SIZE, listing.total)} of {listing.total}</span>
+                  <div className="inline-flex items-center gap-2">
+                    <button disabled={filters.p <= 1} onClick={()=>setFilter({ p: filters.p - 1 > 1 ? String(filters.p - 1) : '' })} className="px-3 py-1 rounded-lg border border-slate-200 dark:border-slate-800 disabled:opacity-40">Previous</button>
+                    <span>Page {filters.p} of {pages}</span>
+                    <button disabled={filters.p >= pages} onClick={()=>setFilter({ p: String(filters.p + 1) })} className="px-3 py-1 rounded-lg border border-slate-200 dark:border-slate-800 disabled:opacity-40">Next</button>
+                  </div>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+      <SummaryQueue queue={summaryQueue} onOpen={setSummarizing} />
+      <SummariesDialog token={token} doc={summarizing} canGenerate={can('ai.analyze')} queue={summaryQueue} onClose={()=>setSummarizing(null)} />
+      <ExtractionDialog token={token} doc={extracting} canEdit={!!extracting && can('documents.edit', extracting)} canRun={can('ai.analyze')} onOpenSource={(d, s)=>{ setExtracting(null); openDoc(d.id, s) }} onChanged={()=>setExtractRev(r => r + 1)} onClose={()=>setExtracting(null)} />
+      <NameDialog dialog={nameDialog} onOpenChange={(o)=>{ if(!o) setNameDialog(null) }} />
+      {viewing && <DocumentViewer token={token} doc={viewing} highlight={highlight} user={user} workspaceId={workspaceId} can={can} focusComment={params.get('comment') || ''} onClose={closeDoc} />}
+      <ShareDialog token={token} doc={sharing} workspaceId={workspaceId} onClose={()=>setSharing(null)} />
+    </div>
+  )
+}
+
+// Redline diff for ComparePanel: sentence-level LCS, refined to words, with move detection
+function splitSentences(text) {
+  const out = []
+  ;(text || '').split(/\n\s*\n/).forEach((para, i) => {
+    if (i > 0) out.push('\n')
+    const parts = para.replace(/\s+/g, ' ').trim().match(/[^.!?;]+(?:[.!?;]+["')\]]*|$)\s*/g) || []
+    parts.forEach(p => { if (p.trim()) out.push(p.trim()) })
+  })
+  return out
+}
+
+function diffSeq(a, b) {
+  const ops = []
+  const push = (type, item) => {
+    const last = ops[ops.length - 1]
+    if (last && last.type === type) last.items.push(item)
+    else ops.push({ type, items: [item] })
+  }
+  let start = 0
+  while (start < a.length && start < b.length && a[start] === b[start]) push('equal', a[start++])
+  let endA = a.length, endB = b.length
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB-- }
+  const n = endA - start, m = endB - start
+  if (n * m > 4e6) {
+    for (let i = start; i < endA; i++) push('delete', a[i])
+    for (let j = start; j < endB; j++) push('insert', b[j])
+  } else {
+    const w = m + 1
+    const dp = new Uint32Array((n + 1) * w)
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i * w + j] = a[start + i] === b[start + j] ? dp[(i + 1) * w + j + 1] + 1 : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1])
+      }
+    }
+    let i = 0, j = 0
+    while (i < n && j < m) {
+      if (a[start + i] === b[start + j]) { push('equal', a[start + i]); i++; j++ }
+      else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) push('delete', a[start + i++])
+      else push('insert', b[start + j++])
+    }
+    while (i < n) push('delete', a[start + i++])
+    while (j < m) push('insert', b[start + j++])
+  }
+  for (let i = endA; i < a.length; i++) push('equal', a[i])
+  return ops
+}
+
+function buildRedline(leftText, rightText, granularity = 'word') {
+  const ops = diffSeq(splitSentences(leftText), splitSentences(rightText))
+  const inserted = new Map()
+  ops.filter(o => o.type === 'insert').forEach(o => o.items.forEach(s => {
+    if (s.length >= 20) inserted.set(s, (inserted.get(s) || 0) + 1)
+  }))
+  const moved = new Map()
+  let moveSeq = 0
+  ops.filter(o => o.type === 'delete').forEach(o => o.items.forEach(s => {
+    if (inserted.get(s) > 0) {
+      inserted.set(s, inserted.get(s) - 1)
+      const ids = moved.get(s) || []
+      ids.push(++moveSeq)
+      moved.set(s, ids)
+    }
+  }))
+  const pending = new Map([...moved].map(([s, ids]) => [s, [...ids]]))
+  const takeMove = (map, s) => map.get(s)?.length ? map.get(s).shift() : 0
+
+  const segments = []
+  const stats = { insertions: 0, deletions: 0, moves: moveSeq }
+  const emit = (type, text, move) => {
+    if (text === '\n') return segments.push({ type: 'break' })
+    segments.push({ type, text: text + ' ', move })
+  }
+  const emitInserts = (items) => items.forEach(s => {
+    const move = takeMove(pending, s)
+    if (move) return emit('move-to', s, move)
+    if (s !== '\n') stats.insertions++
+    emit('insert', s)
+  })
+  for (let k = 0; k < ops.length; k++) {
+    const op = ops[k]
+    if (op.type === 'equal') { op.items.forEach(s => emit('equal', s)); continue }
+    if (op.type === 'insert') { emitInserts(op.items); continue }
+    const dels = []
+    op.items.forEach(s => {
+      const move = takeMove(moved, s)
+      if (move) emit('move-from', s, move)
+      else dels.push(s)
+    })
+    const next = ops[k + 1]
+    const budget = new Map([...pending].map(([s, ids]) => [s, ids.length]))
+    const ins = next?.type === 'insert' ? next.items.filter(s => !(budget.get(s) > 0 && budget.set(s, budget.get(s) - 1))) : []
+    if (granularity === 'word' && dels.some(s => s !== '\n') && ins.some(s => s !== '\n')) {
+      const words = (xs) => xs.filter(s => s !== '\n').join(' ').match(/\S+\s*/g) || []
+      diffSeq(words(dels), words(ins)).forEach(w => {
+        if (w.type === 'delete') stats.deletions++
+        if (w.type === 'insert') stats.insertions++
+        segments.push({ type: w.type, text: w.items.join('').replace(/\s*$/, ' ') })
+      })
+      next.items.forEach(s => { const move = takeMove(pending, s); if (move) emit('move-to', s, move) })
+      k++
+    } else {
+      dels.forEach(s => { if (s !== '\n') stats.deletions++; emit('delete', s) })
+    }
+  }
+  return { segments, stats }
+}
+
+const REDLINE_STYLES = {
+  insert: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300 underline decoration-green-600',
+  delete: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300 line-through decoration-red-600',
+  'move-from': 'bg-violet-100 text-violet-800 dark:bg-violet-900/40 dark:text-violet-300 line-through decoration-double',
+  'move-to': 'bg-violet-100 text-violet-800 dark:bg-violet-900/40 dark:text-violet-300 underline decoration-double',
+}
+
+function RedlineView({ segments }) {
+  return (
+    <div className="text-sm leading-relaxed">
+      {segments.map((s, i) => {
+        if (s.type === 'break') return <div key={i} className="h-3" />
+        if (s.type === 'equal') return <span key={i}>{s.text}</span>
+        const anchor = s.move ? `move-${s.move}-${s.type === 'move-from' ? 'from' : 'to'}` : undefined
+        const target = s.move ? `move-${s.move}-${s.type === 'move-from' ? 'to' : 'from'}` : undefined
+        return (
+          <span key={i} id={anchor} className={`rounded px-0.5 ${REDLINE_STYLES[s.type]}`} title={s.move ? `Moved text (${s.type === 'move-from' ? 'original position' : 'new position'})` : undefined}>
+            {s.text}
+            {s.move && <a href={`#${target}`} onClick={(e)=>{ e.preventDefault(); document.getElementById(target)?.scrollIntoView({ behavior: 'smooth', block: 'center' }) }} className="ml-0.5 align-super text-[10px] font-semibold">M{s.move}</a>}
+          </span>
+        )
+      })}
+    </div>
+  )
+}
+
+// Keeps a set of scroll panes at the same relative position (side panes and the overlay share it)
+function useScrollSync() {
+  const ratio = useRef(0)
+  const panes = useRef({})
+  const syncing = useRef(false)
+  function apply(el) {
+    el.scrollTop = ratio.current * (el.scrollHeight - el.clientHeight)
+  }
+  return (key) => ({
+    ref: (el) => {
+      if (el) { panes.current[key] = el; apply(el) } else delete panes.current[key]
+    },
+    onScroll: (e) => {
+      if (syncing.current) return
+      const el = e.currentTarget
+      const max = el.scrollHeight - el.clientHeight
+      ratio.current = max > 0 ? el.scrollTop / max : 0
+      syncing.current = true
+      Object.entries(panes.current).forEach(([k, p]) => { if (k !== key) apply(p) })
+      requestAnimationFrame(() => { syncing.current = false })
+    },
+  })
+}
+
+// Comparison report export (HTML, print-to-PDF, DOCX with tracked changes)
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+function escapeXml(s) {
+  return String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+}
+
+function reportFilename(result, ext) {
+  const base = `redline-${result.left_name || 'left'}-vs-${result.right_name || 'right'}`.replace(/\.(pdf|docx)/gi, '')
+  return `${slugify(base) || 'redline'}.${ext}`
+}
+
+function redlineHtml(result, redline) {
+  const when = new Date(result.compared_at || Date.now()).toLocaleString()
+  const cls = { insert: 'ins', delete: 'del', 'move-from': 'mvf', 'move-to': 'mvt' }
+  const body = redline.segments.map(s => {
+    if (s.type === 'break') return '</p><p>'
+    if (s.type === 'equal') return escapeXml(s.text)
+    return `<span class="${cls[s.type]}">${escapeXml(s.text)}${s.move ? `<sup>M${s.move}</sup>` : ''}</span>`
+  }).join('')
+  const list = (xs) => xs?.length ? `<ul>${xs.map(t => `<li>${escapeXml(t)}</li>`).join('')}</ul>` : '<p class="muted">None</p>'
+  return `<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8"><title>Redline: ${escapeXml(result.left_name)} vs ${escapeXml(result.right_name)}</title>
+<style>
+body{font-family:Inter,system-ui,sans-serif;color:#0f172a;max-width:820px;margin:40px auto;padding:0 24px;line-height:1.6}
+h1{font-size:20px;margin:0 0 4px}h2{font-size:15px;margin:28px 0 8px;border-bottom:1px solid #e2e8f0;padding-bottom:4px}
+table{border-collapse:collapse;font-size:13px}td{padding:2px 12px 2px 0;vertical-align:top}.muted{color:#64748b}
+.ins{color:#166534;background:#dcfce7;text-decoration:underline}.del{color:#991b1b;background:#fee2e2;text-decoration:line-through}
+.mvf{color:#5b21b6;background:#ede9fe;text-decoration:line-through double}.mvt{color:#5b21b6;background:#ede9fe;text-decoration:underline double}
+sup{font-size:9px;font-weight:600}.redline p{margin:0 0 12px}
+@media print{body{margin:0}}
+</style></head><body>
+<h1>JuriSight comparison report</h1>
+<table>
+<tr><td class="muted">Original</td><td>${escapeXml(result.left_name)}</td></tr>
+<tr><td class="muted">Revised</td><td>${escapeXml(result.right_name)}</td></tr>
+<tr><td class="muted">Compared</td><td>${escapeXml(when)}</td></tr>
+<tr><td class="muted">Confidence</td><td>${Math.round((result.confidence || 0) * 100)}%</td></tr>
+<tr><td class="muted">Changes</td><td>${redline.stats.insertions} insertions, ${redline.stats.deletions} deletions, ${redline.stats.moves} moves</td></tr>
+</table>
+<h2>Added</h2>${list(result.added)}
+<h2>Removed</h2>${list(result.removed)}
+<h2>Redline</h2><div class="redline"><p>${body}</p></div>
+</body></html>`
+}
+
+function printRedline(result, redline) {
+  const win = window.open('', '_blank')
+  if (!win) throw new Error('Allow pop-ups to print the report')
+  win.document.write(redlineHtml(result, redline))
+  win.document.close()
+  win.focus()
+  setTimeout(() => win.print(), 300)
+}
+
+async function redlineDocx(result, redline) {
+  const JSZip = (await import('jszip')).default
+  const date = new Date(result.compared_at || Date.now()).toISOString().replace(/\.\d+Z$/, 'Z')
+  let rev = 0
+  const run = (text, del) => `<w:r>${del ? `<w:delText xml:space="preserve">${escapeXml(text)}</w:delText>` : `<w:t xml:space="preserve">${escapeXml(text)}</w:t>`}</w:r>`
+  const para = (inner, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${inner}</w:p>`
+  const tracked = (tag, text) => `<w:${tag} w:id="${++rev}" w:author="JuriSight" w:date="${date}">${run(text, tag === 'del')}</w:${tag}>`
+  const paragraphs = []
+  let current = ''
+  redline.segments.forEach(s => {
+    if (s.type === 'break') { paragraphs.push(para(current)); current = ''; return }
+    if (s.type === 'equal') current += run(s.text)
+    else current += tracked(s.type === 'insert' || s.type === 'move-to' ? 'ins' : 'del', s.text)
+  })
+  paragraphs.push(para(current))
+  const meta = [
+    para(run('JuriSight comparison report'), 'Title'),
+    para(run(`Original: ${result.left_name || ''}`)),
+    para(run(`Revised: ${result.right_name || ''}`)),
+    para(run(`Compared: ${new Date(result.compared_at || Date.now()).toLocaleString()}`)),
+    para(run(`Confidence: ${Math.round((result.confidence || 0) * 100)}%`)),
+    para(run('Added'), 'Heading1'),
+    ...(result.added || []).map(t => para(run(`• ${t}`))),
+    para(run('Removed'), 'Heading1'),
+    ...(result.removed || []).map(t => para(run(`• ${t}`))),
+    para(run('Redline'), 'Heading1'),
+  ]
+  const zip = new JSZip()
+  zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>')
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>')
+  zip.file('word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${meta.join('')}${paragraphs.join('')}<w:sectPr/></w:body></w:document>`)
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' })
+}
+
+// CSV text cells that a spreadsheet would evaluate as a formula are prefixed with a quote.
+function sheetText(v) {
+  const s = String(v ?? '')
+  return /^[=+\-@\t\r]/.test(s) ? `'${s}` : s
+}
+
+function tableCsv(columns, rows) {
+  const cell = (v) => {
+    const s = typeof v === 'number' ? String(v) : sheetText(v)
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s
+  }
+  const lines = [columns.map(c => cell(c.label)), ...rows.map(r => columns.map(c => cell(r[c.k])))]
+  return new Blob(['\uFEFF' + lines.map(l => l.join(',')).join('\r\n')], { type: 'text/csv;charset=utf-8' })
+}
+
+// Workbook with one worksheet per { name, columns, rows } entry
+async function tableXlsx(sheets) {
+  const JSZip = (await import('jszip')).default
+  const col = (i) => { let s = ''; for (let n = i + 1; n; n = Math.floor((n - 1) / 26)) s = String.fromCharCode(65 + (n - 1) % 26) + s; return s }
+  const cell = (v, r, c) => typeof v === 'number' && isFinite(v)
+    ? `<c r="${col(c)}${r}"><v>${v}</v></c>`
+    : `<c r="${col(c)}${r}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`
+  const used = new Set()
+  const sheetName = (s, i) => {
+    let name = String(s || '').replace(/[[\]:*?/\\]/g, ' ').slice(0, 28).trim() || `Sheet${i + 1}`
+    if (used.has(name.toLowerCase())) name = `${name} ${i + 1}`
+    used.add(name.toLowerCase())
+    return escapeXml(name)
+  }
+  const zip = new JSZip()
+  const overrides = sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+  zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${overrides}</Types>`)
+  zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>')
+  zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets.map((s, i) => `<sheet name="${sheetName(s.name, i)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')}</sheets></workbook>`)
+  zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')}</Relationships>`)
+  sheets.forEach(({ columns, rows }, i) => {
+    const data = [columns.map(c => c.label), ...rows.map(r => columns.map(c => r[c.k]))]
+      .map((vals, r) => `<row r="${r + 1}">${vals.map((v, c) => cell(v, r + 1, c)).join('')}</row>`).join('')
+    zip.file(`xl/worksheets/sheet${i + 1}.xml`, `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${data}</sheetData></worksheet>`)
+  })
+  return zip.generateAsync({ type: 'blob', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+}
+
+async function exportTable(format, name, columns, rows) {
+  const blob = format === 'xlsx' ? await tableXlsx([{ name, columns, rows }]) : tableCsv(columns, rows)
+  downloadBlob(blob, `${slugify(name) || 'export'}.${format}`)
+}
+
+// Exports build files asynchronously (the XLSX writer is loaded on demand), so failures are caught and shown
+// next to the control that started them
+function useExportAction() {
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState('')
+  async function run(fn) {
+    setBusy(true)
+    setError('')
+    try {
+      await fn()
+    } catch (err) {
+      setError(err.message || 'Export failed')
+    } finally {
+      setBusy(false)
+    }
+  }
+  return { busy, error, run }
+}
+
+const ExportError = ({ error }) => (error ? <span role="alert" title={error} className="text-xs text-red-600 inline-flex items-center gap-1"><AlertTriangle size={12}/> Export failed</span> : null)
+
+function ExportMenu({ onExport, disabled, label = 'Export' }) {
+  const { busy, error, run } = useExportAction()
+  return (
+    <span className="inline-flex items-center gap-2">
+      <ExportError error={error} />
+      <DropdownMenu.Root>
+        <DropdownMenu.Trigger asChild>
+          <button type="button" disabled={disabled || busy} className="px-2 py-1 rounded-lg border border-slate-200 dark:border-slate-800 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-1 text-xs disabled:opacity-50">{busy ? <Loader2 size={12} className="animate-spin"/> : <Download size={12}/>} {label}</button>
+        </DropdownMenu.Trigger>
+        <DropdownMenu.Content align="end" className="z-50 bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl p-2 shadow-xl text-sm">
+          <DropdownMenu.Item onSelect={()=>run(()=>onExport('csv'))} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">CSV</DropdownMenu.Item>
+          <DropdownMenu.Item onSelect={()=>run(()=>onExport('xlsx'))} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">Excel (.xlsx)</DropdownMenu.Item>
+        </DropdownMenu.Content>
+      </DropdownMenu.Root>
+    </span>
+  )
+}
+
+function WorkbookButton({ onExport, disabled, compact }) {
+  const { busy, error, run } = useExportAction()
+  const size = compact ? 12 : 14
+  return (
+    <span className="inline-flex items-center gap-2">
+      <ExportError error={error} />
+      <button type="button" disabled={disabled || busy} onClick={()=>run(onExport)} className={`${compact ? 'px-2 py-1 text-xs' : 'px-3 py-1.5 text-sm'} rounded-lg border border-slate-200 dark:border-slate-800 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-1 disabled:opacity-50`}>
+        {busy ? <Loader2 size={size} className="animate-spin"/> : <Download size={size}/>} Workbook (.xlsx)
+      </button>
+    </span>
+  )
+}
+
+// Contract risk assessment: clause-by-clause severity with a heatmap over the document
+const RISK_TONES = {
+  high: { badge: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300', fill: 'bg-red-500/30 ring-1 ring-red-500', block: 'bg-red-50 dark:bg-red-950/40 border-l-4 border-red-500 pl-2' },
+  medium: { badge: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300', fill: 'bg-amber-400/30 ring-1 ring-amber-500', block: 'bg-amber-50 dark:bg-amber-950/40 border-l-4 border-amber-500 pl-2' },
+  low: { badge: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300', fill: 'bg-green-500/25 ring-1 ring-green-500', block: 'bg-green-50 dark:bg-green-950/40 border-l-4 border-green-500 pl-2' },
+}
+const RISK_ORDER = ['high', 'medium', 'low']
+
+function riskLevel(score) {
+  return score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low'
+}
+
+function RiskPanel({ token, docs, indexError, onReloadIndex, onAssessed }) {
+  const [docId, setDocId] = useState('')
+  const [results, setResults] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+  const [filter, setFilter] = useState('all')
+  const [viewer, setViewer] = useState(null)
+  const doc = docs.find(d => d.id === docId)
+  const result = results[docId]
+  const clauses = useMemo(() => [...(result?.clauses || [])].sort((a, b) => RISK_ORDER.indexOf(a.severity) - RISK_ORDER.indexOf(b.severity)), [result])
+  const shown = filter === 'all' ? clauses : clauses.filter(c => c.severity === filter)
+  const marks = useMemo(() => clauses.map(c => ({ page: c.page, quote: c.quote || c.text, tone: c.severity })), [clauses])
+
+  async function assess(e) {
+    e.preventDefault()
+    setLoading(true)
+    setError('')
+    try {
+      const res = await api('/api/documents/risk', { token, method: 'POST', body: { document_id: docId } })
+      setResults(r => ({ ...r, [docId]: res }))
+      onAssessed?.()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={assess} className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[16rem]">
+          <label className="text-sm text-slate-600 dark:text-slate-300">Document</label>
+          <select value={docId} onChange={e=>{ setDocId(e.target.value); setFilter('all') }} className="w-full border rounded-xl px-2 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+            <option value="">Select…</option>
+            {docs.map(d => <option key={d.id} value={d.id}>{d.filename}</option>)}
+          </select>
+        </div>
+        <button type="submit" disabled={!docId || loading} className="h-10 rounded-xl bg-accent text-white px-4 inline-flex items-center gap-2">
+          {loading ? <Loader2 size={16} className="animate-spin"/> : <ShieldAlert size={16}/>} {result ? 'Re-assess' : 'Assess risk'}
+        </button>
+        {result && (
+          <button type="button" onClick={()=>setViewer({})} className="h-10 rounded-xl border border-slate-200 dark:border-slate-800 hover:bg-slate-50 dark:hover:bg-slate-800 px-4 inline-flex items-center gap-2 text-sm"><BookOpen size={16}/> Heatmap</button>
+        )}
+      </form>
+      <DocIndexError error={indexError} onRetry={onReloadIndex} />
+      {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {error}</div>}
+
+      {result && (
+        <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} className="space-y-4">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="p-4 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+              <div className="text-xs text-slate-500 dark:text-slate-400">Aggregate risk</div>
+              <div className="flex items-baseline gap-2 mt-1">
+                <span className="text-2xl font-semibold">{Math.round(result.score ?? 0)}</span>
+                <span className="text-xs text-slate-400">/ 100</span>
+                <span className={`ml-auto text-xs px-2 py-0.5 rounded capitalize ${RISK_TONES[riskLevel(result.score ?? 0)].badge}`}>{riskLevel(result.score ?? 0)}</span>
+              </div>
+            </div>
+            {RISK_ORDER.map(level => (
+              <button key={level} onClick={()=>setFilter(f => f === level ? 'all' : level)} className={`p-4 rounded-xl border text-left bg-white dark:bg-slate-950 ${filter===level ? 'border-primary' : 'border-slate-200 dark:border-slate-800'}`}>
+                <div className="text-xs text-slate-500 dark:text-slate-400 capitalize">{level} severity</div>
+                <div className="text-2xl font-semibold mt-1">{clauses.filter(c => c.severity === level).length}</div>
+              </button>
+            ))}
+          </div>
+          <div className="rounded-xl border border-slate-200 dark:border-slate-800 overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-50 dark:bg-slate-900 text-xs uppercase text-slate-500">
+                <tr><th className="text-left px-3 py-2">Clause</th><th className="text-left px-3 py-2">Severity</th><th className="text-left px-3 py-2">Rationale</th><th className="px-3 py-2"/></tr>
+              </thead>
+              <tbody>
+                {shown.map((c, i) => (
+                  <tr key={i} className="border-t border-slate-200 dark:border-slate-800 align-top">
+                    <td className="px-3 py-2 font-medium capitalize whitespace-nowrap">{c.type}{c.page && <span className="ml-1 text-xs text-slate-400 normal-case">p.{c.page}</span>}</td>
+                    <td className="px-3 py-2"><span className={`text-xs px-2 py-0.5 rounded capitalize ${RISK_TONES[c.severity]?.badge || 'bg-slate-100 text-slate-700'}`}>{c.severity}</span></td>
+                    <td className="px-3 py-2 text-slate-600 dark:text-slate-300">{c.rationale}</td>
+                    <td className="px-3 py-2 text-right">
+                      {(c.quote || c.text || c.page) && <button onClick={()=>setViewer({ page: c.page, quote: c.quote || c.text })} className="text-xs text-primary hover:underline">View</button>}
+                    </td>
+                  </tr>
+                ))}
+                {shown.length === 0 && (
+                  <tr><td colSpan={4} className="px-3 py-6 text-center text-slate-500">No clauses at this severity.</td></tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </motion.div>
+      )}
+      {viewer && doc && <DocumentViewer token={token} doc={doc} marks={marks} highlight={viewer.quote || viewer.page ? viewer : null} onClose={()=>setViewer(null)} />}
+    </div>
+  )
+}
+
+// Clause library (standard positions) and playbook deviation checking
+function ClauseEditor({ clause, onSave, onCancel, saving }) {
+  const [form, setForm] = useState(() => ({
+    title: clause?.title || '',
+    category: clause?.category || '',
+    tags: (clause?.tags || []).join(', '),
+    text: clause?.text || '',
+    fallback: clause?.fallback || '',
+  }))
+  const field = (k) => ({ value: form[k], onChange: (e) => setForm(f => ({ ...f, [k]: e.target.value })) })
+  const input = 'w-full border rounded-xl px-3 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800'
+
+  function submit(e) {
+    e.preventDefault()
+    onSave({ ...form, tags: form.tags.split(',').map(t => t.trim()).filter(Boolean) })
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-3">
+      <div className="grid md:grid-cols-2 gap-3">
+        <div>
+          <label className="text-sm text-slate-600 dark:text-slate-300">Title</label>
+          <input {...field('title')} required className={input} />
+        </div>
+        <div>
+          <label className="text-sm text-slate-600 dark:text-slate-300">Category</label>
+          <input {...field('category')} placeholder="e.g. limitation of liability" className={input} />
         </div>
       </div>
-      <div className="rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 p-4">
-        <div className="text-sm font-semibold mb-3">AI Activity Timeline</div>
-        <div className="space-y-3">
-          {[...Array(6)].map((_,i)=> (
-            <motion.div key={i} initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} transition={{ delay: i*0.05 }} className="flex items-center gap-3">
-              <div className="w-2 h-2 rounded-full bg-primary"/>
-              <div className="text-sm text-slate-600 dark:text-slate-300">Processed document #{i+1} and generated summary</div>
-            </motion.div>
-          ))}
-        </div>
+      <div>
+        <label className="text-sm text-slate-600 dark:text-slate-300">Tags</label>
+        <input {...field('tags')} placeholder="comma separated" className={input} />
       </div>
-    </div>
+      <div>
+        <label className="text-sm text-slate-600 dark:text-slate-300">Standard language</label>
+        <textarea {...field('text')} required rows={6} className={input} />
+      </div>
+      <div>
+        <label className="text-sm text-slate-600 dark:text-slate-300">Fallback language</label>
+        <textarea {...field('fallback')} rows={3} className={input} />
+      </div>
+      <div className="flex gap-2">
+        <button disabled={saving} className="px-4 py-2 rounded-xl bg-primary text-white inline-flex items-center gap-2">{saving && <Loader2 size={16} className="animate-spin"/>} {clause ? 'Save new version' : 'Add clause'}</button>
+        <button type="button" onClick={onCancel} className="px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-700">Cancel</button>
+      </div>
+    </form>
   )
 }
 
-function UploadPanel({ token, onDone, pushToast }) {
-  const [dragOver, setDragOver] = useState(false)
-  const [files, setFiles] = useState([])
+function ClauseLibrary({ token, workspaceId, editable }) {
+  const [clauses, setClauses] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+  const [query, setQuery] = useState('')
+  const [tag, setTag] = useState('')
+  const [editing, setEditing] = useState(null) // null | 'new' | clause
+  const [saving, setSaving] = useState(false)
+  const [openId, setOpenId] = useState('')
+  const [versionOf, setVersionOf] = useState({})
 
-  function onDrop(e) {
-    e.preventDefault()
-    setDragOver(false)
-    const list = Array.from(e.dataTransfer.files)
-    if (!list.length) return
-    setFiles(list.map(f => ({ f, progress: 0, status: 'queued' })))
+  async function load() {
+    setLoading(true)
+    try {
+      const res = await api(`/api/clauses${qs({ workspace_id: workspaceId })}`, { token })
+      setClauses(res.clauses || [])
+      setError('')
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
   }
-  function onInput(e) {
-    const list = Array.from(e.target.files || [])
-    if (!list.length) return
-    setFiles(list.map(f => ({ f, progress: 0, status: 'queued' })))
+
+  useEffect(() => { load() }, [token, workspaceId])
+
+  async function save(data, target = editing) {
+    setSaving(true)
+    try {
+      if (target === 'new') await api('/api/clauses', { token, method: 'POST', body: { ...data, workspace_id: workspaceId } })
+      else await api(`/api/clauses/${target.id}`, { token, method: 'PUT', body: data })
+      setEditing(null)
+      await load()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setSaving(false)
+    }
   }
 
-  async function startUpload() {
-    for (let i = 0; i < files.length; i++) {
-      const item = files[i]
-      item.status = 'uploading'
-      item.progress = 10
-      const fd = new FormData()
-      fd.append('file', item.f)
-      try {
-        await api('/api/documents/upload', { token, method: 'POST', body: fd, headers: {} })
-        item.progress = 100
-        item.status = 'done'
-        pushToast({ title: 'Upload complete', description: item.f.name })
-      } catch (err) {
-        item.status = 'error'
-        pushToast({ title: 'Upload failed', description: err.message })
-      }
-      setFiles([...files])
+  async function remove(c) {
+    if (!window.confirm(`Delete “${c.title}” and all its versions?`)) return
+    try {
+      await api(`/api/clauses/${c.id}`, { token, method: 'DELETE' })
+      setClauses(cs => cs.filter(x => x.id !== c.id))
+    } catch (err) {
+      setError(err.message)
     }
-    onDone?.()
+  }
+
+  const tags = useMemo(() => [...new Set(clauses.flatMap(c => c.tags || []))].sort(), [clauses])
+  const shown = clauses.filter(c => {
+    const q = query.toLowerCase()
+    const matches = !q || [c.title, c.category, c.text, ...(c.tags || [])].some(v => (v || '').toLowerCase().includes(q))
+    return matches && (!tag || (c.tags || []).includes(tag))
+  })
+
+  if (editing) {
+    return <ClauseEditor clause={editing === 'new' ? null : editing} saving={saving} onSave={save} onCancel={()=>setEditing(null)} />
   }
 
   return (
-    <div>
-      <div
-        onDragOver={(e)=>{e.preventDefault(); setDragOver(true)}}
-        onDragLeave={()=>setDragOver(false)}
-        onDrop={onDrop}
-        className={`rounded-2xl border-2 border-dashed ${dragOver?'border-primary bg-blue-50/50 dark:bg-blue-950/20':'border-slate-300 dark:border-slate-700'} p-8 text-center transition`}
-        aria-label="Drag and drop zone"
-      >
-        <div className="mx-auto w-14 h-14 rounded-full bg-primary/10 text-primary grid place-content-center mb-3">
-          <FileUp/>
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex-1 min-w-[12rem] flex items-center gap-2 border rounded-xl px-3 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+          <Search size={16} className="text-slate-400"/>
+          <input value={query} onChange={e=>setQuery(e.target.value)} placeholder="Search clauses…" className="flex-1 bg-transparent outline-none text-sm" />
         </div>
-        <div className="font-medium mb-1">Drag & drop your legal documents</div>
-        <div className="text-sm text-slate-500 dark:text-slate-400 mb-3">PDF and DOCX supported. Max 10MB each.</div>
-        <label className="inline-flex items-center gap-2 px-4 py-2 rounded-xl bg-primary text-white cursor-pointer hover:opacity-90">
-          <Paperclip size={16}/> Choose files
-          <input type="file" className="hidden" multiple accept="application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document" onChange={onInput}/>
-        </label>
+        <select value={tag} onChange={e=>setTag(e.target.value)} className="border rounded-xl px-2 py-2 text-sm bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+          <option value="">All tags</option>
+          {tags.map(t => <option key={t} value={t}>{t}</option>)}
+        </select>
+        {editable && <button onClick={()=>setEditing('new')} className="px-3 py-2 rounded-xl bg-primary text-white inline-flex items-center gap-2 text-sm"><Plus size={16}/> New clause</button>}
       </div>
-
-      {!!files.length && (
-        <div className="mt-6 space-y-3">
-          {files.map((it, idx) => (
-            <div key={idx} className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
-              <div className="flex items-center justify-between text-sm">
-                <div className="truncate mr-3">{it.f.name} <span className="text-slate-400">• {(it.f.size/1024).toFixed(0)} KB</span></div>
-                <div className="text-slate-500 capitalize">{it.status}</div>
-              </div>
-              <div className="mt-2 h-2 w-full bg-slate-100 dark:bg-slate-800 rounded overflow-hidden">
-                <div className={`h-full ${it.status==='error'?'bg-red-500':'bg-primary'} transition-all`} style={{ width: `${it.progress}%` }} />
+      {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {error}</div>}
+      {loading ? (
+        <div className="animate-pulse h-24 rounded-xl bg-slate-100 dark:bg-slate-900"/>
+      ) : shown.length === 0 ? (
+        <div className="text-sm text-slate-500">{clauses.length ? 'No clauses match.' : 'No standard clauses yet.'}</div>
+      ) : (
+        <div className="space-y-2">
+          {shown.map(c => {
+            const versions = c.versions || []
+            const picked = versions.find(v => v.version === versionOf[c.id])
+            const body = picked || c
+            return (
+              <div key={c.id} className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                <div className="flex items-center gap-2">
+                  <button onClick={()=>setOpenId(id => id === c.id ? '' : c.id)} className="font-medium text-left flex-1 min-w-0 truncate">{c.title}</button>
+                  <span className="text-xs text-slate-400">v{c.version || 1}</span>
+                  {editable && (
+                    <>
+                      <button onClick={()=>setEditing(c)} aria-label="Edit clause" className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800"><Pencil size={14}/></button>
+                      <button onClick={()=>remove(c)} aria-label="Delete clause" className="p-1 rounded hover:bg-slate-100 dark:hover:bg-slate-800"><Trash2 size={14}/></button>
+                    </>
+                  )}
+                </div>
+                <div className="mt-1 flex flex-wrap gap-1 text-xs">
+                  {c.category && <span className="px-2 py-0.5 rounded bg-slate-100 dark:bg-slate-800 capitalize">{c.category}</span>}
+                  {(c.tags || []).map(t => <span key={t} className="px-2 py-0.5 rounded bg-primary/10 text-primary">#{t}</span>)}
+                </div>
+                {openId === c.id && (
+                  <div className="mt-3 space-y-2 text-sm">
+                    {versions.length > 1 && (
+                      <select value={versionOf[c.id] || ''} onChange={e=>setVersionOf(v => ({ ...v, [c.id]: Number(e.target.value) || undefined }))} className="border rounded-lg px-2 py-1 text-xs bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+                        <option value="">Current (v{c.version})</option>
+                        {versions.filter(v => v.version !== c.version).map(v => <option key={v.version} value={v.version}>v{v.version} · {new Date(v.created_at).toLocaleDateString()}</option>)}
+                      </select>
+                    )}
+                    <div className="whitespace-pre-wrap">{body.text}</div>
+                    {body.fallback && <div className="text-slate-600 dark:text-slate-400"><span className="text-xs uppercase text-slate-500">Fallback</span><div className="whitespace-pre-wrap">{body.fallback}</div></div>}
+                    {picked && editable && <button disabled={saving} onClick={()=>{ setVersionOf(v => ({ ...v, [c.id]: undefined })); save({ title: c.title, category: c.category, tags: c.tags, text: picked.text, fallback: picked.fallback }, c) }} className="text-xs text-primary hover:underline">Restore this version</button>}
+                  </div>
+                )}
               </div>
-            </div>
-          ))}
-          <button onClick={startUpload} className="px-4 py-2 rounded-xl bg-accent text-white hover:bg-teal-600">Start upload</button>
+            )
+          })}
         </div>
       )}
     </div>
   )
 }
 
-function DocumentsPanel({ token, docs, loading, onRefresh }) {
-  const [busyId, setBusyId] = useState('')
-  const [summary, setSummary] = useState('')
+const PLAYBOOK_STATUS = {
+  match: { label: 'Matches standard', cls: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300' },
+  deviation: { label: 'Deviation', cls: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300' },
+  missing: { label: 'Missing', cls: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300' },
+}
+
+function PlaybookRedline({ standard, text }) {
+  const segments = useMemo(() => buildRedline(standard, text).segments, [standard, text])
+  return <RedlineView segments={segments} />
+}
+
+// Each library clause goes through /api/documents/compare with its text as the left side
+// ({ left_text, right_id, workspace_id }); right_text is then the document's closest clause, with its page,
+// and confidence their similarity. Below PLAYBOOK_MISSING the document has no counterpart to the clause.
+const PLAYBOOK_MATCH = 0.9
+const PLAYBOOK_MISSING = 0.4
+const PLAYBOOK_CONCURRENCY = 3
+
+async function checkClause(token, workspaceId, docId, clause) {
+  const res = await api('/api/documents/compare', { token, method: 'POST', body: { left_text: clause.text, right_id: docId, workspace_id: workspaceId } })
+  const similarity = res.confidence || 0
+  const status = !res.right_text || similarity < PLAYBOOK_MISSING ? 'missing' : similarity < PLAYBOOK_MATCH ? 'deviation' : 'match'
+  return { clause_id: clause.id, title: clause.title, status, similarity, page: res.page, standard_text: clause.text, document_text: res.right_text, fallback: clause.fallback }
+}
+
+function PlaybookCheck({ token, docs, indexError, onReloadIndex, workspaceId }) {
+  const [docId, setDocId] = useState('')
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [openIdx, setOpenIdx] = useState(-1)
+  const [onlyIssues, setOnlyIssues] = useState(true)
+  const [progress, setProgress] = useState(null) // { done, total } while clauses are being compared
 
-  async function summarize(id) {
-    setBusyId(id)
-    setSummary('')
+  async function run(e) {
+    e.preventDefault()
+    setLoading(true)
+    setResult(null)
+    setOpenIdx(-1)
     try {
-      const res = await api('/api/documents/summarize', { token, method: 'POST', body: { document_id: id } })
-      setSummary(res.summary)
+      const { clauses = [] } = await api(`/api/clauses${qs({ workspace_id: workspaceId })}`, { token })
+      if (!clauses.length) throw new Error('The clause library is empty. Add standard clauses before checking a document.')
+      const results = new Array(clauses.length)
+      let next = 0
+      setProgress({ done: 0, total: clauses.length })
+      await Promise.all(Array.from({ length: Math.min(PLAYBOOK_CONCURRENCY, clauses.length) }, async () => {
+        while (next < clauses.length) {
+          const i = next++
+          results[i] = await checkClause(token, workspaceId, docId, clauses[i])
+          setProgress(p => ({ ...p, done: p.done + 1 }))
+        }
+      }))
+      setResult({ results })
     } catch (err) {
-      setSummary('Error: ' + err.message)
+      setResult({ error: err.message })
     } finally {
-      setBusyId('')
+      setLoading(false)
+      setProgress(null)
     }
   }
 
+  const items = (result?.results || []).filter(r => !onlyIssues || r.status !== 'match')
+
   return (
     <div className="space-y-4">
-      <div className="flex items-center justify-between">
-        <h3 className="font-semibold">Your documents</h3>
-        <button onClick={onRefresh} className="text-sm text-slate-600 dark:text-slate-300 hover:underline">Refresh</button>
-      </div>
-      {loading ? (
-        <div className="animate-pulse h-24 rounded-xl bg-slate-100 dark:bg-slate-900"/>
-      ) : docs.length === 0 ? (
-        <div className="text-sm text-slate-500">No documents yet.</div>
-      ) : (
-        <div className="grid md:grid-cols-2 gap-4">
-          {docs.map(d => (
-            <div key={d.id} className="p-4 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
-              <div className="font-medium text-slate-900 dark:text-white">{d.filename}</div>
-              <div className="text-xs text-slate-500">{Math.round((d.size||0)/1024)} KB • {d.status}</div>
-              <div className="mt-3 flex gap-2">
-                <button onClick={()=>summarize(d.id)} className="text-xs px-3 py-1.5 rounded-xl bg-primary text-white">{busyId===d.id? '…' : 'Summarize'}</button>
-              </div>
+      <form onSubmit={run} className="flex flex-wrap items-end gap-3">
+        <div className="flex-1 min-w-[16rem]">
+          <label className="text-sm text-slate-600 dark:text-slate-300">Document</label>
+          <select value={docId} onChange={e=>setDocId(e.target.value)} className="w-full border rounded-xl px-2 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+            <option value="">Select…</option>
+            {docs.map(d => <option key={d.id} value={d.id}>{d.filename}</option>)}
+          </select>
+        </div>
+        <button type="submit" disabled={!docId || loading} className="h-10 rounded-xl bg-accent text-white px-4">{loading ? (progress ? `Checking ${progress.done}/${progress.total}…` : 'Checking…') : 'Check against playbook'}</button>
+        <label className="h-10 inline-flex items-center gap-2 text-sm text-slate-600 dark:text-slate-300">
+          <input type="checkbox" checked={onlyIssues} onChange={e=>setOnlyIssues(e.target.checked)} /> Only deviations
+        </label>
+      </form>
+      <DocIndexError error={indexError} onRetry={onReloadIndex} />
+      {result?.error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {result.error}</div>}
+      {result && !result.error && (
+        <div className="space-y-2">
+          <div className="flex gap-2 text-xs">
+            {Object.entries(PLAYBOOK_STATUS).map(([k, s]) => (
+              <span key={k} className={`px-2 py-0.5 rounded ${s.cls}`}>{(result.results || []).filter(r => r.status === k).length} {s.label.toLowerCase()}</span>
+            ))}
+          </div>
+          {items.length === 0 && <div className="text-sm text-slate-500">No deviations from the playbook.</div>}
+          {items.map((r, i) => (
+            <div key={r.clause_id || i} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+              <button onClick={()=>setOpenIdx(idx => idx === i ? -1 : i)} className="w-full flex items-center gap-3 px-3 py-2 text-left">
+                <span className={`text-xs px-2 py-0.5 rounded ${PLAYBOOK_STATUS[r.status]?.cls}`}>{PLAYBOOK_STATUS[r.status]?.label || r.status}</span>
+                <span className="font-medium flex-1 truncate">{r.title}</span>
+                {typeof r.similarity === 'number' && <span className="text-xs text-slate-500">{Math.round(r.similarity * 100)}% similar</span>}
+                {r.page && <span className="text-xs text-slate-400">p.{r.page}</span>}
+              </button>
+              {openIdx === i && (
+                <div className="px-3 pb-3 space-y-3">
+                  {r.status === 'missing' ? (
+                    <div className="text-sm text-slate-600 dark:text-slate-300">No matching clause found in the document.</div>
+                  ) : (
+                    <div className="p-3 rounded-lg bg-slate-50 dark:bg-slate-900 max-h-64 overflow-auto">
+                      <div className="text-xs uppercase text-slate-500 mb-1">Standard → document</div>
+                      <PlaybookRedline standard={r.standard_text} text={r.document_text} />
+                    </div>
+                  )}
+                  {r.fallback && (
+                    <div className="p-3 rounded-lg border border-dashed border-primary/40">
+                      <div className="flex items-center text-xs uppercase text-slate-500 mb-1">
+                        Suggested fallback
+                        <button onClick={()=>navigator.clipboard?.writeText(r.fallback)} className="ml-auto normal-case text-primary hover:underline">Copy</button>
+                      </div>
+                      <div className="text-sm whitespace-pre-wrap">{r.fallback}</div>
+                    </div>
+                  )}
+                </div>
+              )}
             </div>
           ))}
         </div>
       )}
-      {summary && (
-        <div className="p-4 rounded-xl border bg-slate-50 dark:bg-slate-900 border-slate-200 dark:border-slate-800">
-          <div className="text-sm font-semibold mb-2">AI Summary</div>
-          <div className="text-sm whitespace-pre-wrap leading-relaxed">{summary}</div>
-        </div>
-      )}
     </div>
   )
 }
 
-function ComparePanel({ token, docs }) {
+function PlaybookPanel({ token, docs, indexError, onReloadIndex, workspaceId, can }) {
+  const [view, setView] = useState('check') // check | library
+  return (
+    <div className="space-y-4">
+      <div className="inline-flex rounded-xl border border-slate-200 dark:border-slate-800 overflow-hidden">
+        {[['check', 'Check document'], ['library', 'Clause library']].map(([v, label]) => (
+          <button key={v} onClick={()=>setView(v)} className={`px-3 py-2 text-sm ${view===v?'bg-slate-100 dark:bg-slate-800':''}`}>{label}</button>
+        ))}
+      </div>
+      {view === 'check' ? <PlaybookCheck token={token} docs={docs} indexError={indexError} onReloadIndex={onReloadIndex} workspaceId={workspaceId} /> : <ClauseLibrary token={token} workspaceId={workspaceId} editable={can('playbook.edit')} />}
+    </div>
+  )
+}
+
+function ComparePanel({ token, docs, indexError, onReloadIndex, workspaceId }) {
   const [mode, setMode] = useState('side') // side | overlay | summary
-  const [left, setLeft] = useState('')
-  const [right, setRight] = useState('')
+  const [params, setParams] = useSearchParams()
+  const left = params.get('left') || ''
+  const right = params.get('right') || ''
+  const autoRun = useRef(!!(left && right))
   const [result, setResult] = useState(null)
   const [loading, setLoading] = useState(false)
+  const [granularity, setGranularity] = useState('word') // word | sentence
+  const scrollSync = useScrollSync()
+  const redline = useMemo(() => (result && !result.error ? buildRedline(result.left_text, result.right_text, granularity) : null), [result, granularity])
+  const [exportError, setExportError] = useState('')
+  const nameOf = (id) => docs.find(d => d.id === id)?.filename || id
+  // Names resolve against the index whenever it arrives, so a linked comparison can run before it loads
+  const report = result && !result.error ? { ...result, left_name: nameOf(result.left_id), right_name: nameOf(result.right_id) } : result
+  // Keep a linked id selectable even when the index has not loaded it
+  const choices = (id) => (!id || docs.some(d => d.id === id) ? docs : [{ id, filename: id }, ...docs])
+
+  async function exportReport(format) {
+    setExportError('')
+    try {
+      if (format === 'html') downloadBlob(new Blob([redlineHtml(report, redline)], { type: 'text/html' }), reportFilename(report, 'html'))
+      if (format === 'pdf') printRedline(report, redline)
+      if (format === 'docx') downloadBlob(await redlineDocx(report, redline), reportFilename(report, 'docx'))
+    } catch (err) {
+      setExportError(err.message)
+    }
+  }
+
+  function pick(side, id) {
+    setParams(prev => {
+      const next = new URLSearchParams(prev)
+      id ? next.set(side, id) : next.delete(side)
+      return next
+    }, { replace: true })
+  }
 
   async function submit(e) {
-    e.preventDefault()
+    e?.preventDefault()
     setLoading(true)
     setResult(null)
     try {
-      const res = await api('/api/documents/compare', { token, method: 'POST', body: { left_id: left, right_id: right } })
-      setResult(res)
+      const res = await api('/api/documents/compare', { token, method: 'POST', body: { left_id: left, right_id: right, workspace_id: workspaceId } })
+      setResult({ ...res, left_id: left, right_id: right, compared_at: new Date().toISOString() })
     } catch (err) {
       setResult({ error: err.message })
     } finally {
@@ -534,21 +4748,28 @@ function ComparePanel({ token, docs }) {
     }
   }
 
+  // A shared /compare?left=&right= link runs the comparison straight from the ids in the query string
+  useEffect(() => {
+    if (!autoRun.current) return
+    autoRun.current = false
+    submit()
+  }, [])
+
   return (
     <div className="space-y-4">
       <form onSubmit={submit} className="grid md:grid-cols-3 gap-3 items-end">
         <div>
           <label className="text-sm text-slate-600 dark:text-slate-300">Left</label>
-          <select value={left} onChange={e=>setLeft(e.target.value)} className="w-full border rounded-xl px-2 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+          <select value={left} onChange={e=>pick('left', e.target.value)} className="w-full border rounded-xl px-2 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
             <option value="">Select…</option>
-            {docs.map(d => <option key={d.id} value={d.id}>{d.filename}</option>)}
+            {choices(left).map(d => <option key={d.id} value={d.id}>{d.filename}</option>)}
           </select>
         </div>
         <div>
           <label className="text-sm text-slate-600 dark:text-slate-300">Right</label>
-          <select value={right} onChange={e=>setRight(e.target.value)} className="w-full border rounded-xl px-2 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
+          <select value={right} onChange={e=>pick('right', e.target.value)} className="w-full border rounded-xl px-2 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800">
             <option value="">Select…</option>
-            {docs.map(d => <option key={d.id} value={d.id}>{d.filename}</option>)}
+            {choices(right).map(d => <option key={d.id} value={d.id}>{d.filename}</option>)}
           </select>
         </div>
         <div className="flex gap-2">
@@ -558,23 +4779,49 @@ function ComparePanel({ token, docs }) {
               <button key={m} type="button" onClick={()=>setMode(m)} className={`px-3 py-2 text-sm ${mode===m?'bg-slate-100 dark:bg-slate-800':''}`}>{m}</button>
             ))}
           </div>
+          {redline && (
+            <DropdownMenu.Root>
+              <DropdownMenu.Trigger asChild>
+                <button type="button" className="h-10 px-3 rounded-xl border border-slate-200 dark:border-slate-800 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-2 text-sm"><Download size={16}/> Export</button>
+              </DropdownMenu.Trigger>
+              <DropdownMenu.Content align="end" className="bg-white dark:bg-slate-900 border border-slate-200 dark:border-slate-700 rounded-xl p-2 shadow-xl text-sm">
+                <DropdownMenu.Item onSelect={()=>exportReport('html')} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">HTML report</DropdownMenu.Item>
+                <DropdownMenu.Item onSelect={()=>exportReport('pdf')} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">Print / PDF</DropdownMenu.Item>
+                <DropdownMenu.Item onSelect={()=>exportReport('docx')} className="px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 cursor-pointer">Word (tracked changes)</DropdownMenu.Item>
+              </DropdownMenu.Content>
+            </DropdownMenu.Root>
+          )}
         </div>
       </form>
+      <DocIndexError error={indexError} onRetry={onReloadIndex} />
+      {exportError && (
+        <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle size={16}/> {exportError}</div>
+      )}
 
       {result && (
         <AnimatePresence mode="wait">
           {mode==='side' && (
             <motion.div key="side" initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} className="grid md:grid-cols-2 gap-4">
-              <div className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 h-64 overflow-auto">{result.left_text || 'Left text…'}</div>
-              <div className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 h-64 overflow-auto">{result.right_text || 'Right text…'}</div>
+              <div {...scrollSync('left')} className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 h-64 overflow-auto whitespace-pre-wrap">{result.left_text || 'Left text…'}</div>
+              <div {...scrollSync('right')} className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 h-64 overflow-auto whitespace-pre-wrap">{result.right_text || 'Right text…'}</div>
             </motion.div>
           )}
           {mode==='overlay' && (
-            <motion.div key="overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 h-64 overflow-auto">
-              <div className="space-y-1 text-sm">
-                {(result.added||[]).map((t,i)=>(<span key={'a'+i} className="bg-green-100 text-green-800 px-1 rounded">{t}</span>))}
-                {(result.removed||[]).map((t,i)=>(<span key={'r'+i} className="bg-red-100 text-red-800 px-1 rounded ml-1 line-through">{t}</span>))}
-                <div className="mt-2 text-amber-700 bg-amber-50 inline-block px-1 rounded">Modified segments highlighted</div>
+            <motion.div key="overlay" initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="space-y-2">
+              <div className="flex flex-wrap items-center gap-3 text-xs text-slate-500">
+                <span className="px-1 rounded bg-green-100 text-green-800 underline">{redline?.stats.insertions || 0} insertions</span>
+                <span className="px-1 rounded bg-red-100 text-red-800 line-through">{redline?.stats.deletions || 0} deletions</span>
+                <span className="px-1 rounded bg-violet-100 text-violet-800">{redline?.stats.moves || 0} moves</span>
+                <div className="ml-auto inline-flex rounded-xl border border-slate-200 dark:border-slate-800 overflow-hidden">
+                  {['word','sentence'].map(g => (
+                    <button key={g} type="button" onClick={()=>setGranularity(g)} className={`px-3 py-1 ${granularity===g?'bg-slate-100 dark:bg-slate-800':''}`}>{g}</button>
+                  ))}
+                </div>
+              </div>
+              <div {...scrollSync('overlay')} className="p-3 rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 h-64 overflow-auto">
+                {result.left_text || result.right_text
+                  ? <RedlineView segments={redline?.segments || []} />
+                  : <div className="text-sm text-slate-500">No document text returned for this comparison.</div>}
               </div>
             </motion.div>
           )}
@@ -602,93 +4849,432 @@ function ComparePanel({ token, docs }) {
   )
 }
 
-function ChatPanel({ token }) {
-  const [input, setInput] = useState('')
-  const [busy, setBusy] = useState(false)
-  const [messages, setMessages] = useState([])
+// Slash commands shared by ChatPanel and CommandPalette
+const SLASH_COMMANDS = [
+  { k: '/summarize', d: 'Summarize selected document', usage: '/summarize @document', args: ['doc'], perm: 'ai.analyze' },
+  { k: '/compare', d: 'Compare two documents', usage: '/compare @original @revised', args: ['doc', 'doc'], perm: 'ai.analyze' },
+  { k: '/find', d: 'Find clauses and terms', usage: '/find <query>', args: ['query'], perm: 'ai.chat' },
+  { k: '/risk', d: 'Assess risk in agreement', usage: '/risk @document', args: ['doc'], perm: 'ai.analyze' },
+]
+
+const MENTION_RE = /@(?:"([^"]+)"|([^\s"]+))/g
+
+function mentionFor(doc) {
+  return /\s/.test(doc.filename) ? `@"${doc.filename}"` : `@${doc.filename}`
+}
+
+function resolveDoc(ref, docs) {
+  const r = ref.toLowerCase()
+  const exact = docs.find(d => d.id === ref || (d.filename || '').toLowerCase() === r)
+  if (exact) return exact
+  const partial = docs.filter(d => (d.filename || '').toLowerCase().includes(r))
+  return partial.length === 1 ? partial[0] : null
+}
+
+function parseSlashCommand(text, docs) {
+  const m = text.trim().match(/^(\/\w+)\s*([\s\S]*)$/)
+  if (!m) return null
+  const cmd = SLASH_COMMANDS.find(c => c.k === m[1].toLowerCase())
+  if (!cmd) return { error: `Unknown command ${m[1]}. Try ${SLASH_COMMANDS.map(c => c.k).join(', ')}` }
+  const refs = [...m[2].matchAll(MENTION_RE)].map(x => x[1] || x[2])
+  const query = m[2].replace(MENTION_RE, '').trim()
+  const resolved = refs.map(r => resolveDoc(r, docs))
+  const missing = refs.find((r, i) => !resolved[i])
+  if (missing) return { cmd, error: `No single document matches @${missing}` }
+  const need = cmd.args.filter(a => a === 'doc').length
+  if (resolved.length < need) return { cmd, error: `Usage: ${cmd.usage}` }
+  if (cmd.args.includes('query') && !query) return { cmd, error: `Usage: ${cmd.usage}` }
+  return { cmd, docs: resolved.slice(0, need), query }
+}
+
+async function runSlashCommand({ cmd, docs, query }, token, workspaceId, signal) {
+  switch (cmd.k) {
+    case '/summarize':
+      return api('/api/documents/summarize', { token, signal, method: 'POST', body: { document_id: docs[0].id } })
+    case '/compare':
+      return api('/api/documents/compare', { token, signal, method: 'POST', body: { left_id: docs[0].id, right_id: docs[1].id, workspace_id: workspaceId } })
+    case '/find':
+      return api(`/api/search${qs({ q: query, workspace_id: workspaceId })}`, { token, signal })
+    case '/risk':
+      return api('/api/documents/risk', { token, signal, method: 'POST', body: { document_id: docs[0].id } })
+    default:
+      throw new Error(`Unsupported command ${cmd.k}`)
+  }
+}
+
+function slashSuggestions(input, docs) {
+  if (!input.startsWith('/')) return []
+  if (/^\/\w*$/.test(input)) {
+    return SLASH_COMMANDS.filter(c => c.k.startsWith(input.toLowerCase())).map(c => ({ key: c.k, label: c.k, hint: c.d, apply: `${c.k} ` }))
+  }
+  const cmd = SLASH_COMMANDS.find(c => input.toLowerCase().startsWith(`${c.k} `))
+  const slots = cmd ? cmd.args.filter(a => a === 'doc').length : 0
+  if (!slots) return []
+  const chosen = [...input.matchAll(/@(?:"[^"]+"|[^\s"]+)(?=\s)/g)].length
+  const mention = input.match(/@(?:"([^"]*)|([^\s"]*))$/)
+  if (!mention && (chosen >= slots || !/\s$/.test(input))) return []
+  const frag = mention ? (mention[1] ?? mention[2] ?? '').toLowerCase() : ''
+  const base = mention ? input.slice(0, mention.index) : input
+  const slot = slots === 2 ? (chosen === 0 ? 'original' : 'revised') : 'document'
+  return docs
+    .filter(d => (d.filename || '').toLowerCase().includes(frag))
+    .slice(0, 8)
+    .map(d => ({ key: d.id, label: d.filename, hint: slot, apply: `${base}${mentionFor(d)} ` }))
+}
+
+function CommandResult({ command, onOpenDocument }) {
+  const { name, docs = [], query, result } = command
+  const docLink = (d) => (
+    <button key={d.id} onClick={()=>onOpenDocument?.(d.id)} className="font-medium text-primary hover:underline">{d.filename}</button>
+  )
+  if (!result) return null
+  if (name === '/summarize') {
+    return (
+      <div className="space-y-1">
+        <div className="text-xs uppercase text-slate-500">Summary · {docLink(docs[0])}</div>
+        <div>{result.summary}</div>
+      </div>
+    )
+  }
+  if (name === '/compare') {
+    return (
+      <div className="space-y-2">
+        <div className="text-xs uppercase text-slate-500">Comparison · {docLink(docs[0])} → {docLink(docs[1])}</div>
+        <div className="grid grid-cols-2 gap-2 whitespace-normal">
+          {[['Added', result.added, 'text-green-700 dark:text-green-400'], ['Removed', result.removed, 'text-red-700 dark:text-red-400']].map(([label, items, cls]) => (
+            <div key={label} className="rounded-lg bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-800 p-2">
+              <div className={`text-xs font-semibold ${cls}`}>{label} ({items?.length || 0})</div>
+              <ul className="text-xs list-disc pl-4 space-y-0.5">{(items || []).slice(0, 5).map((t, i) => <li key={i}>{t}</li>)}</ul>
+            </div>
+          ))}
+        </div>
+        <div className="text-xs text-slate-500">Confidence {Math.round((result.confidence || 0) * 100)}%</div>
+      </div>
+    )
+  }
+  if (name === '/find') {
+    const hits = result.results || []
+    return (
+      <div className="space-y-2 whitespace-normal">
+        <div className="text-xs uppercase text-slate-500">{hits.length} results for “{query}”</div>
+        {hits.map((h, i) => (
+          <button key={i} onClick={()=>onOpenDocument?.(h.document_id, { page: h.page, quote: h.quote || h.snippet })} className="block w-full text-left rounded-lg bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-800 p-2 hover:border-primary">
+            <div className="text-xs font-medium">{h.filename}{h.page && <span className="text-slate-400"> · p.{h.page}</span>} <span className="text-slate-400">• {(h.score || 0).toFixed(2)}</span></div>
+            <div className="text-xs text-slate-600 dark:text-slate-400"><HighlightedSnippet text={h.snippet} terms={searchTerms(query)} /></div>
+          </button>
+        ))}
+      </div>
+    )
+  }
+  if (name === '/risk') {
+    return (
+      <div className="space-y-2 whitespace-normal">
+        <div className="text-xs uppercase text-slate-500">Risk · {docLink(docs[0])} · Score {Math.round(result.score ?? 0)}/100</div>
+        {(result.clauses || []).map((c, i) => (
+          <div key={i} className="flex items-start gap-2 text-xs">
+            <span className={`px-1.5 rounded capitalize ${RISK_TONES[c.severity]?.badge || 'bg-slate-100 text-slate-700'}`}>{c.severity}</span>
+            <div><span className="font-medium capitalize">{c.type}</span> — {c.rationale}</div>
+          </div>
+        ))}
+      </div>
+    )
+  }
+  return null
+}
+
+// Answer text with inline [n] footnote markers linked to the numbered sources
+function AnswerText({ text, sources, onCite }) {
+  const parts = (text || '').split(/(\[\d+\])/g)
+  return parts.map((part, i) => {
+    const m = part.match(/^\[(\d+)\]$/)
+    const source = m && sources?.[Number(m[1]) - 1]
+    if (!source) return <React.Fragment key={i}>{part}</React.Fragment>
+    return (
+      <sup key={i}>
+        <button onClick={()=>onCite(source)} title={`${source.filename}${source.page ? ` · p.${source.page}` : ''}`} className="mx-0.5 px-1 rounded bg-primary/10 text-primary text-[10px] font-semibold hover:bg-primary/20">{m[1]}</button>
+      </sup>
+    )
+  })
+}
+
+function ChatPanel({ chat, docs, indexError, onReloadIndex, can, onOpenDocument }) {
+  const { threads, active, activeId, loaded, openFailed, setActiveId, newThread, renameThread, deleteThread, send: sendMessage, stop, busy, draft: input, setDraft: setInput } = chat
+  const [editing, setEditing] = useState('')
+  const [error, setError] = useState('')
+  const [sel, setSel] = useState(0)
+  const [dismissed, setDismissed] = useState(false)
+  const scrollRef = useRef(null)
+  const messages = active?.messages || []
+  const allowed = (k) => { const c = SLASH_COMMANDS.find(x => x.k === k); return !c || can(c.perm) }
+  const suggestions = useMemo(() => (dismissed ? [] : slashSuggestions(input, docs).filter(s => allowed(s.key))), [input, docs, dismissed, can])
+  const activeCmd = SLASH_COMMANDS.find(c => input.toLowerCase().startsWith(`${c.k} `))
+  const pending = docs.filter(d => { const s = pipelineState(d); return !s.ready && !s.failed })
+
+  function cite(source) {
+    const id = source.document_id || docs.find(d => d.filename === source.filename)?.id
+    if (id) onOpenDocument?.(id, { page: source.page, quote: source.quote || source.snippet })
+  }
+
+  function onChange(e) {
+    setInput(e.target.value)
+    setError('')
+    setSel(0)
+    setDismissed(false)
+  }
+
+  function onKeyDown(e) {
+    if (!suggestions.length) return
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setSel(i => (i + step + suggestions.length) % suggestions.length)
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault()
+      setInput(suggestions[Math.min(sel, suggestions.length - 1)].apply)
+      setSel(0)
+    } else if (e.key === 'Escape') {
+      setDismissed(true)
+    }
+  }
 
-  async function send(e) {
+  useEffect(() => {
+    const el = scrollRef.current
+    if (el) el.scrollTop = el.scrollHeight
+  }, [messages])
+
+  function send(e) {
     e.preventDefault()
-    if (!input.trim()) return
+    if (!input.trim() || busy || (active && !active.messages)) return
+    const command = parseSlashCommand(input, docs)
+    if (command?.error) return setError(command.error)
+    if (command && !can(command.cmd.perm)) return setError(`Your role can't run ${command.cmd.k} in this workspace`)
     const toSend = input
     setInput('')
-    setBusy(true)
-    try {
-      const res = await api('/api/chat', { token, method: 'POST', body: { message: toSend } })
-      setMessages(m => [...m, { q: toSend, a: res.answer, sources: res.sources }])
-    } catch (err) {
-      setMessages(m => [...m, { q: toSend, a: 'Error: ' + err.message, sources: [] }])
-    } finally {
-      setBusy(false)
-    }
+    sendMessage(toSend, command)
   }
 
   return (
-    <div className="relative">
-      <div className="h-96 overflow-auto space-y-4 pr-1">
-        {messages.length === 0 && (
-          <div className="text-sm text-slate-500">Try /summarize, /compare, /find, /risk</div>
-        )}
-        {messages.map((m, i) => (
-          <div key={i} className="space-y-2">
-            <div className="flex justify-end">
-              <div className="max-w-[80%] p-3 rounded-xl bg-gradient-to-br from-primary to-blue-500 text-white text-sm shadow">{m.q}</div>
+    <div className="relative flex gap-4">
+      <aside className="hidden md:flex w-56 shrink-0 flex-col gap-2 border-r border-slate-200 dark:border-slate-800 pr-4">
+        <button onClick={()=>newThread().catch(err => setError(err.message))} disabled={busy} className="px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800 inline-flex items-center gap-2 text-sm"><Plus size={16}/> New conversation</button>
+        <div className="h-[26rem] overflow-auto space-y-1">
+          {!loaded && !chat.error && <div className="text-xs text-slate-500 px-1 inline-flex items-center gap-2"><Loader2 size={12} className="animate-spin"/> Loading conversations…</div>}
+          {loaded && threads.length === 0 && <div className="text-xs text-slate-500 px-1">No saved conversations.</div>}
+          {threads.map(t => (
+            <div key={t.id} className={`group flex items-center gap-1 rounded-lg px-2 py-1.5 text-sm ${t.id===activeId ? 'bg-slate-100 dark:bg-slate-900' : 'hover:bg-slate-50 dark:hover:bg-slate-900'}`}>
+              {editing === t.id ? (
+                <input autoFocus defaultValue={t.title} onBlur={(e)=>{ renameThread(t.id, e.target.value); setEditing('') }} onKeyDown={(e)=>{ if (e.key==='Enter') e.currentTarget.blur(); if (e.key==='Escape') setEditing('') }} className="flex-1 min-w-0 bg-transparent outline-none border-b border-primary" />
+              ) : (
+                <button onClick={()=>!busy && setActiveId(t.id)} onDoubleClick={()=>setEditing(t.id)} className="flex-1 min-w-0 text-left truncate" title="Double-click to rename">{t.title}</button>
+              )}
+              <button onClick={()=>setEditing(t.id)} aria-label="Rename conversation" className="opacity-0 group-hover:opacity-100 p-1 rounded hover:bg-slate-200 dark:hover:bg-slate-800"><Pencil size={12}/></button>
+              <button onClick={()=>deleteThread(t.id)} disabled={busy && t.id===activeId} aria-label="Delete conversation" className="opacity-0 group-hover:opacity-100 p-1 rounded hover:bg-slate-200 dark:hover:bg-slate-800"><Trash2 size={12}/></button>
             </div>
-            <div className="flex justify-start">
-              <div className="max-w-[85%] p-3 rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 text-sm whitespace-pre-wrap">
-                <div>{m.a}</div>
-                {!!m.sources?.length && (
-                  <div className="mt-2 space-y-2">
-                    {m.sources.map((s,idx)=> (
-                      <details key={idx} className="rounded-lg bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-800 p-2">
-                        <summary className="text-xs text-slate-600">{s.filename} • Confidence {(s.score||0).toFixed(2)}</summary>
-                        <div className="mt-1 text-xs text-slate-600">{s.snippet || 'Relevant clause snippet…'}</div>
-                      </details>
-                    ))}
-                  </div>
-                )}
+          ))}
+        </div>
+      </aside>
+      <div className="flex-1 min-w-0">
+        {openFailed && (
+          <div className="mb-3 flex items-center gap-2 rounded-lg bg-slate-100 dark:bg-slate-900 text-slate-600 dark:text-slate-300 px-3 py-2 text-xs">
+            <AlertTriangle size={12} className="shrink-0"/> This conversation couldn't be opened: {openFailed}
+          </div>
+        )}
+        {activeId && !active?.messages && !openFailed && (
+          <div className="mb-3 flex items-center gap-2 text-xs text-slate-500"><Loader2 size={12} className="animate-spin shrink-0"/> Loading conversation…</div>
+        )}
+        {!!pending.length && (
+          <div className="mb-3 flex items-center gap-2 rounded-lg bg-amber-50 dark:bg-amber-950/30 text-amber-800 dark:text-amber-200 px-3 py-2 text-xs">
+            <Loader2 size={12} className="animate-spin shrink-0"/>
+            {pending.length === 1 ? `${pending[0].filename} is` : `${pending.length} documents are`} still processing and won't be used in answers yet.
+          </div>
+        )}
+        <div ref={scrollRef} className="h-96 overflow-auto space-y-4 pr-1">
+          {messages.length === 0 && (
+            <div className="text-sm text-slate-500">Try /summarize, /compare, /find, /risk</div>
+          )}
+          {messages.map((m, i) => (
+            <div key={m.id || i} className="space-y-2">
+              <div className="flex justify-end">
+                <div className="max-w-[80%] p-3 rounded-xl bg-gradient-to-br from-primary to-blue-500 text-white text-sm shadow">{m.q}</div>
+              </div>
+              <div className="flex justify-start">
+                <div className="max-w-[85%] p-3 rounded-xl bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 text-sm whitespace-pre-wrap">
+                  {m.command && <CommandResult command={m.command} onOpenDocument={onOpenDocument} />}
+                  {(m.a || !m.command) && <div><AnswerText text={m.a} sources={m.sources} onCite={cite} />{m.streaming && <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-primary animate-pulse" />}</div>}
+                  {m.command && m.streaming && <Loader2 size={16} className="animate-spin text-slate-400" />}
+                  {!!m.sources?.length && (
+                    <div className="mt-2 space-y-2">
+                      {m.sources.map((s,idx)=> (
+                        <details key={idx} className="rounded-lg bg-slate-50 dark:bg-slate-900 border border-slate-200 dark:border-slate-800 p-2">
+                          <summary className="text-xs text-slate-600"><span className="font-semibold text-primary mr-1">[{idx+1}]</span>{s.filename}{s.page ? ` · p.${s.page}` : ''} • Confidence {(s.score||0).toFixed(2)}</summary>
+                          {(s.quote || s.snippet) && <blockquote className="mt-1 pl-2 border-l-2 border-yellow-400 text-xs text-slate-600">{s.quote || s.snippet}</blockquote>}
+                          <button onClick={()=>cite(s)} className="mt-1 text-xs text-primary hover:underline inline-flex items-center gap-1"><BookOpen size={12}/> Open at passage</button>
+                        </details>
+                      ))}
+                    </div>
+                  )}
+                </div>
               </div>
             </div>
-          </div>
-        ))}
+          ))}
+        </div>
+        {indexError && <div className="mt-4"><DocIndexError error={indexError} onRetry={onReloadIndex} /></div>}
+        <form onSubmit={send} className="relative mt-4 flex gap-2">
+          {!!suggestions.length && (
+            <div role="listbox" className="absolute bottom-full mb-2 left-0 w-full max-w-md rounded-xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-xl p-1 z-10">
+              {suggestions.map((sug, i) => (
+                <button key={sug.key} type="button" role="option" aria-selected={i===sel} onMouseEnter={()=>setSel(i)} onClick={()=>{ setInput(sug.apply); setSel(0) }} className={`w-full text-left px-3 py-1.5 rounded-lg text-sm flex items-center gap-2 ${i===sel ? 'bg-slate-100 dark:bg-slate-900' : ''}`}>
+                  <span className="truncate">{sug.label}</span>
+                  <span className="ml-auto text-xs text-slate-400 shrink-0">{sug.hint}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          <input autoFocus value={input} onChange={onChange} onKeyDown={onKeyDown} placeholder="Type a message or /command…" className="flex-1 border rounded-xl px-3 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" />
+          {busy
+            ? <button type="button" onClick={stop} className="px-4 py-2 rounded-xl border border-slate-200 dark:border-slate-700 inline-flex items-center gap-2"><Square size={14}/> Stop</button>
+            : <button className="px-4 py-2 rounded-xl bg-primary text-white">Send</button>}
+        </form>
+        {error || chat.error
+          ? <div className="mt-2 flex items-center gap-2 text-xs text-red-600"><AlertTriangle size={14}/> {error || chat.error}</div>
+          : activeCmd && <div className="mt-2 text-xs text-slate-500 font-mono">{activeCmd.usage}</div>}
       </div>
-      <form onSubmit={send} className="mt-4 flex gap-2">
-        <input value={input} onChange={e=>setInput(e.target.value)} placeholder="Type a message or /command…" className="flex-1 border rounded-xl px-3 py-2 bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800" />
-        <button disabled={busy} className="px-4 py-2 rounded-xl bg-primary text-white">{busy?'Thinking…':'Send'}</button>
-      </form>
     </div>
   )
 }
 
-function CommandPalette({ open, setOpen }) {
+// Document search: terms to highlight from a boolean/phrase query (AND, OR, NOT, -term, "phrase")
+function searchTerms(query) {
+  const terms = []
+  let negate = false
+  for (const m of (query || '').matchAll(/(-?)"([^"]+)"|(\S+)/g)) {
+    const word = m[3]
+    if (word === 'AND' || word === 'OR') continue
+    if (word === 'NOT') { negate = true; continue }
+    const skip = negate || m[1] === '-' || (word || '').startsWith('-')
+    negate = false
+    const term = (m[2] || word || '').replace(/[()*]/g, '')
+    if (!skip && term) terms.push(term)
+  }
+  return terms
+}
+
+function HighlightedSnippet({ text, terms }) {
+  if (!text || !terms?.length) return text || null
+  const re = new RegExp(`(${terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi')
+  return text.split(re).map((part, i) => (i % 2 ? <mark key={i} className="bg-yellow-200 dark:bg-yellow-500/40 dark:text-white rounded-sm">{part}</mark> : part))
+}
+
+function CommandPalette({ open, setOpen, onCommand, onAsk, onOpenDocument, token, workspaceId, can }) {
   const [query, setQuery] = useState('')
-  const commands = [
-    { k: '/summarize', d: 'Summarize selected document' },
-    { k: '/compare', d: 'Compare two documents' },
-    { k: '/find', d: 'Find clauses and terms' },
-    { k: '/risk', d: 'Assess risk in agreement' },
+  const [mode, setMode] = useState('keyword') // keyword | semantic
+  const [hits, setHits] = useState([])
+  const [searching, setSearching] = useState(false)
+  const [error, setError] = useState('')
+  const [sel, setSel] = useState(0)
+  const isCommand = query.startsWith('/')
+  const filtered = useMemo(() => SLASH_COMMANDS.filter(c => can(c.perm) && (c.k.includes(query) || c.d.toLowerCase().includes(query.toLowerCase()))), [query, can])
+  const terms = useMemo(() => (mode === 'keyword' ? searchTerms(query) : []), [query, mode])
+
+  useEffect(() => {
+    const q = query.trim()
+    setError('')
+    if (!open || isCommand || q.length < 2) {
+      setHits([])
+      return
+    }
+    const ctrl = new AbortController()
+    const timer = setTimeout(async () => {
+      setSearching(true)
+      try {
+        const res = await api(`/api/search${qs({ q, mode, workspace_id: workspaceId })}`, { token, signal: ctrl.signal })
+        setHits(res.results || [])
+      } catch (err) {
+        if (err.name !== 'AbortError') setError(err.message)
+      } finally {
+        if (!ctrl.signal.aborted) setSearching(false)
+      }
+    }, 250)
+    return () => { clearTimeout(timer); ctrl.abort() }
+  }, [query, mode, open, isCommand, token, workspaceId])
+
+  const items = [
+    ...filtered.map(c => ({ kind: 'command', key: c.k, c })),
+    ...(isCommand ? [] : hits.map((h, i) => ({ kind: 'hit', key: `h${i}`, h }))),
+    ...(query.trim() && !isCommand ? [{ kind: 'ask', key: 'ask' }] : []),
   ]
-  const filtered = useMemo(() => commands.filter(c => c.k.includes(query) || c.d.toLowerCase().includes(query.toLowerCase())), [query])
+
+  function close() {
+    setOpen(false)
+    setQuery('')
+    setSel(0)
+  }
+  function choose(item) {
+    if (!item) return
+    close()
+    if (item.kind === 'command') onCommand?.(item.c.k)
+    if (item.kind === 'hit') onOpenDocument?.(item.h.document_id, { page: item.h.page, quote: item.h.quote || item.h.snippet })
+    if (item.kind === 'ask') onAsk?.(query.trim())
+  }
+  function onKeyDown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setSel(i => (i + step + items.length) % Math.max(items.length, 1))
+    }
+    if (e.key === 'Enter' && query.trim()) {
+      e.preventDefault()
+      choose(items[Math.min(sel, items.length - 1)])
+    }
+  }
+  const rowCls = (i) => `w-full text-left px-3 py-2 rounded-lg ${i === sel ? 'bg-slate-100 dark:bg-slate-900' : 'hover:bg-slate-100 dark:hover:bg-slate-900'}`
 
   return (
-    <Dialog.Root open={open} onOpenChange={setOpen}>
+    <Dialog.Root open={open} onOpenChange={(o)=>{ if (!o) close(); else setOpen(true) }}>
       <Dialog.Portal>
         <Dialog.Overlay className="fixed inset-0 bg-black/30" />
         <Dialog.Content className="fixed left-1/2 top-24 -translate-x-1/2 w-[90vw] max-w-xl rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-950 shadow-2xl p-2">
           <div className="flex items-center gap-2 px-3 py-2 border-b border-slate-200 dark:border-slate-800">
-            <Command size={16} className="text-slate-400"/>
-            <input autoFocus value={query} onChange={(e)=>setQuery(e.target.value)} placeholder="Ask AI or type a /command" className="flex-1 outline-none bg-transparent text-sm" />
+            {searching ? <Loader2 size={16} className="text-slate-400 animate-spin"/> : <Command size={16} className="text-slate-400"/>}
+            <input autoFocus value={query} onChange={(e)=>{ setQuery(e.target.value); setSel(0) }} onKeyDown={onKeyDown} placeholder={mode === 'semantic' ? 'Describe a clause to find similar ones…' : 'Search documents, ask AI or type a /command'} className="flex-1 outline-none bg-transparent text-sm" />
+            <div className="inline-flex rounded-lg border border-slate-200 dark:border-slate-800 overflow-hidden text-xs">
+              {['keyword','semantic'].map(m => (
+                <button key={m} type="button" onClick={()=>setMode(m)} className={`px-2 py-1 ${mode===m ? 'bg-slate-100 dark:bg-slate-800' : ''}`}>{m}</button>
+              ))}
+            </div>
             <span className="text-xs text-slate-400">Esc</span>
           </div>
-          <div className="max-h-64 overflow-auto py-1">
-            {filtered.map((c,i)=>(
-              <button key={c.k} className="w-full text-left px-3 py-2 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-900">
-                <span className="font-mono mr-2 text-primary">{c.k}</span>{c.d}
-              </button>
-            ))}
-            {filtered.length===0 && (
+          <div className="max-h-96 overflow-auto py-1">
+            {items.map((item, i) => {
+              if (item.kind === 'command') return (
+                <button key={item.key} onMouseEnter={()=>setSel(i)} onClick={()=>choose(item)} className={rowCls(i)}>
+                  <span className="font-mono mr-2 text-primary">{item.c.k}</span>{item.c.d}
+                </button>
+              )
+              if (item.kind === 'hit') return (
+                <button key={item.key} onMouseEnter={()=>setSel(i)} onClick={()=>choose(item)} className={rowCls(i)}>
+                  <div className="flex items-center gap-2 text-sm">
+                    <FileText size={14} className="text-slate-400 shrink-0"/>
+                    <span className="font-medium truncate">{item.h.filename}</span>
+                    {item.h.page && <span className="text-xs text-slate-400">p.{item.h.page}</span>}
+                    <span className="ml-auto text-xs text-slate-400">{(item.h.score || 0).toFixed(2)}</span>
+                  </div>
+                  <div className="text-xs text-slate-600 dark:text-slate-400 line-clamp-2 pl-6"><HighlightedSnippet text={item.h.snippet} terms={terms} /></div>
+                </button>
+              )
+              return (
+                <button key={item.key} onMouseEnter={()=>setSel(i)} onClick={()=>choose(item)} className={`${rowCls(i)} inline-flex items-center gap-2 text-sm`}>
+                  <MessageSquare size={14} className="text-primary"/> Ask AI: <span className="truncate text-slate-500">{query.trim()}</span>
+                </button>
+              )
+            })}
+            {error && <div className="px-3 py-2 text-xs text-red-600 flex items-center gap-2"><AlertTriangle size={14}/> {error}</div>}
+            {items.length===0 && (
               <div className="px-3 py-6 text-sm text-slate-500 text-center">No matches</div>
             )}
+            {!isCommand && query.trim().length >= 2 && !searching && !error && hits.length === 0 && (
+              <div className="px-3 py-2 text-xs text-slate-500">No documents match. Use quotes for phrases, AND / OR / NOT or -term to refine.</div>
+            )}
           </div>
         </Dialog.Content>
       </Dialog.Portal>
@@ -696,77 +5282,162 @@ function CommandPalette({ open, setOpen }) {
   )
 }
 
-function TopSection({ token, onLogout, dark, setDark, collapsed, setCollapsed }) {
+function TopSection({ token, user, role, can, notifications, onLogout, dark, setDark, collapsed, setCollapsed, onCommand, onAsk, onOpenDocument, workspaces, onWorkspaceError }) {
   return (
-    <Header onToggleSidebar={()=>setCollapsed(v=>!v)} collapsed={collapsed} onLogout={onLogout} dark={dark} setDark={setDark} />
+    <Header token={token} user={user} role={role} can={can} notifications={notifications} onOpenDocument={onOpenDocument} onToggleSidebar={()=>setCollapsed(v=>!v)} collapsed={collapsed} onLogout={onLogout} dark={dark} setDark={setDark} onCommand={onCommand} onAsk={onAsk} workspaces={workspaces} onWorkspaceError={onWorkspaceError} />
   )
 }
 
 export default function App() {
-  const { token, user, saveAuth, logout } = useAuth()
+  const { token, user, saveAuth, logout, ended, idleWarning, keepAlive } = useAuth()
   const { dark, setDark } = useTheme()
   const [collapsed, setCollapsed] = useState(false)
-  const [tab, setTab] = useState('dashboard')
+  const location = useLocation()
+  const navigate = useNavigate()
+  const tab = tabFromPath(location.pathname)
+  const docId = matchPath('/documents/:id', location.pathname)?.params.id
+  const threadId = matchPath('/chat/:threadId', location.pathname)?.params.threadId || ''
   const [docs, setDocs] = useState([])
-  const [loadingDocs, setLoadingDocs] = useState(true)
+  const [indexError, setIndexError] = useState('')
+  const [libraryRev, setLibraryRev] = useState(0)
   const { toasts, pushToast, dismiss } = useToasts()
+  const workspaces = useWorkspaces(token)
+  const workspaceId = workspaces.current?.id || ''
+  const chat = useChatThreads(token, user, workspaceId, threadId, (id) => navigate(id ? `${TAB_PATHS.chat}/${id}` : TAB_PATHS.chat))
+  const role = workspaces.current?.role || user?.role
+  const can = useMemo(() => permissionsFor(role), [role])
+  const [pipeline, setPipeline] = useState({})
+  const liveDocs = useMemo(() => docs.map(d => pipeline[d.id] ? { ...d, ...pipeline[d.id] } : d), [docs, pipeline])
+
+  // Processing results arrive both as a stage event and as a feed notification; whichever comes first is toasted
+  const announced = useRef(new Set())
+  function announceOnce(key, toast) {
+    if (announced.current.has(key)) return
+    announced.current.add(key)
+    setTimeout(() => announced.current.delete(key), ANNOUNCE_WINDOW_MS)
+    pushToast(toast)
+  }
+
+  // Intermediate stages only patch the live overlay; terminal states reload the library
+  useDocumentEvents(token, workspaceId, (evt) => {
+    setPipeline(p => ({ ...p, [evt.id]: { ...p[evt.id], ...evt, received_at: Date.now() } }))
+    const { ready, failed } = pipelineState(evt)
+    const name = evt.filename || docs.find(d => d.id === evt.id)?.filename || 'Document'
+    if (ready) announceOnce(`document.ready:${evt.id}`, { title: 'Document ready', description: `${name} is indexed and can be searched and cited.` })
+    if (failed) announceOnce(`document.failed:${evt.id}`, { title: 'Processing failed', description: `${name}: ${evt.error || 'see the Documents tab to retry'}` })
+    if (ready || failed) refresh()
+  })
+  const summaryQueue = useSummaryQueue(token, workspaceId, pushToast)
+  const notifications = useNotifications(token, (n) => {
+    const link = notificationLink(n)
+    const processing = n.type === 'document.ready' || n.type === 'document.failed'
+    announceOnce(processing ? `${n.type}:${n.document_id}` : n.id, {
+      title: n.title,
+      description: n.body,
+      action: link ? { label: 'View', onClick: () => { notifications.markRead([n.id]); navigate(link) } } : undefined,
+    })
+  })
+
+  function openDocument(id, cite) {
+    navigate(`${TAB_PATHS.documents}/${id}${qs({ page: cite?.page, q: cite?.quote?.slice(0, 300) })}`)
+  }
+  function startCommand(k) {
+    if (!can(SLASH_COMMANDS.find(c => c.k === k)?.perm)) return
+    chat.setDraft(`${k} `)
+    if (tab !== 'chat') navigate(TAB_PATHS.chat)
+  }
+  // Outside a thread this starts a new one, which navigates to it
+  function ask(text) {
+    if (chat.busy) navigate(chat.activeId ? `${TAB_PATHS.chat}/${chat.activeId}` : TAB_PATHS.chat)
+    else chat.send(text)
+  }
 
-  async function refresh() {
+  // The slim document index behind the pickers; DocumentsPanel pages the library itself
+  async function loadIndex() {
     if (!token) return
-    setLoadingDocs(true)
+    const started = Date.now()
     try {
-      const res = await api('/api/documents', { token })
+      const res = await api(`/api/documents/index${qs({ workspace_id: workspaceId })}`, { token })
       setDocs(res.documents || [])
-    } catch (e) {
-      // no-op
-    } finally {
-      setLoadingDocs(false)
+      setIndexError('')
+      // Events that arrived while the request was in flight may be newer than the response, so they stay
+      setPipeline(p => Object.fromEntries(Object.entries(p).filter(([, evt]) => evt.received_at >= started)))
+    } catch (err) {
+      setIndexError(err.message)
     }
   }
+  function refresh() {
+    setLibraryRev(r => r + 1)
+    loadIndex()
+  }
 
-  useEffect(() => { refresh() }, [token])
+  // Nothing is fetched unscoped: the library waits until a workspace resolves
+  useEffect(() => { if (workspaceId) loadIndex() }, [token, workspaceId])
+  useEffect(() => {
+    if (workspaces.error) pushToast({ title: 'Could not load workspaces', description: workspaces.error, action: { label: 'Retry', onClick: workspaces.reload } })
+  }, [workspaces.error])
+  // Route guards: unknown paths go home, sections the current role cannot open (e.g. after switching to a
+  // workspace with a narrower role) fall back to the library, and bare /chat resumes the last conversation
+  useEffect(() => {
+    if (!token || location.pathname.startsWith('/auth/')) return
+    if (!tab) navigate('/', { replace: true })
+    else if (workspaces.loaded && TAB_PERMISSIONS[tab] && !can(TAB_PERMISSIONS[tab])) navigate(TAB_PATHS.documents, { replace: true })
+    else if (tab === 'chat' && !threadId && chat.threads.some(t => t.id === chat.lastId)) navigate(`${TAB_PATHS.chat}/${chat.lastId}`, { replace: true })
+  }, [token, location.pathname, tab, threadId, can, workspaces.loaded, chat.loaded])
 
-  if (!token) {
-    return <AuthView onAuthed={(data)=> saveAuth(data.access_token, data.user)} />
+  // Signed-out visits to any route render AuthView in place, so the deep link opens once the user signs in.
+  // /auth/* links (SSO callback, password reset, email verification) are handled by AuthView even when signed in.
+  if (!token || location.pathname.startsWith('/auth/')) {
+    return <AuthView notice={ended} initialEmail={ended ? user?.email : ''} onAuthed={saveAuth} />
   }
 
   return (
     <Toast.Provider swipeDirection="right">
       <div className="min-h-screen bg-slate-50 dark:bg-slate-950 text-slate-900 dark:text-slate-100">
         <div className="flex">
-          <Sidebar collapsed={collapsed} tab={tab} setTab={setTab} />
+          <Sidebar collapsed={collapsed} tab={tab} can={can} />
           <div className="flex-1 min-w-0">
-            <TopSection token={token} onLogout={logout} dark={dark} setDark={setDark} collapsed={collapsed} setCollapsed={setCollapsed} />
+            <TopSection token={token} user={user} role={role} can={can} notifications={notifications} onLogout={logout} dark={dark} setDark={setDark} collapsed={collapsed} setCollapsed={setCollapsed} onCommand={startCommand} onAsk={ask} onOpenDocument={openDocument} workspaces={workspaces} onWorkspaceError={(err)=>pushToast({ title: 'Workspace update failed', description: err.message })} />
             <main className="px-4 md:px-6 py-6 max-w-7xl">
               <AnimatePresence mode="wait">
                 {tab==='dashboard' && (
                   <motion.div key="dash" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }}>
-                    <DashboardOverview docs={docs} />
+                    <DashboardOverview token={token} workspaces={workspaces.workspaces} workspaceId={workspaceId} can={can} />
                   </motion.div>
                 )}
                 {tab==='upload' && (
                   <motion.div key="upload" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 p-6">
-                    <UploadPanel token={token} onDone={refresh} pushToast={pushToast} />
+                    <UploadPanel token={token} workspaceId={workspaceId} onDone={refresh} pushToast={pushToast} />
                   </motion.div>
                 )}
                 {tab==='documents' && (
                   <motion.div key="docs" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 p-6">
-                    <DocumentsPanel token={token} docs={docs} loading={loadingDocs} onRefresh={refresh} />
+                    <DocumentsPanel token={token} user={user} docs={docs} docId={docId} revision={libraryRev} live={pipeline} can={can} summaryQueue={summaryQueue} onRefresh={refresh} workspaceId={workspaceId} />
                   </motion.div>
                 )}
                 {tab==='compare' && (
                   <motion.div key="compare" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 p-6">
-                    <ComparePanel token={token} docs={docs} />
+                    <ComparePanel token={token} docs={docs} indexError={indexError} onReloadIndex={loadIndex} workspaceId={workspaceId} />
+                  </motion.div>
+                )}
+                {tab==='risk' && (
+                  <motion.div key="risk" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 p-6">
+                    <RiskPanel token={token} docs={docs} indexError={indexError} onReloadIndex={loadIndex} onAssessed={refresh} />
+                  </motion.div>
+                )}
+                {tab==='playbook' && (
+                  <motion.div key="playbook" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 p-6">
+                    <PlaybookPanel token={token} docs={docs} indexError={indexError} onReloadIndex={loadIndex} workspaceId={workspaceId} can={can} />
                   </motion.div>
                 )}
                 {tab==='chat' && (
                   <motion.div key="chat" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 p-6">
-                    <ChatPanel token={token} />
+                    <ChatPanel chat={chat} docs={liveDocs} indexError={indexError} onReloadIndex={loadIndex} can={can} onOpenDocument={openDocument} />
                   </motion.div>
                 )}
                 {tab==='analytics' && (
                   <motion.div key="analytics" initial={{ opacity: 0, y: 8 }} animate={{ opacity: 1, y: 0 }} className="rounded-xl border bg-white dark:bg-slate-950 border-slate-200 dark:border-slate-800 p-6">
-                    <DashboardOverview docs={docs} />
+                    <AnalyticsPanel token={token} workspaces={workspaces.workspaces} workspaceId={workspaceId} can={can} onOpenDocument={openDocument} />
                   </motion.div>
                 )}
               </AnimatePresence>
@@ -775,12 +5446,26 @@ export default function App() {
         </div>
 
         {toasts.map(t => (
-          <Toast.Root key={t.id} className="fixed bottom-6 right-6 bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 rounded-xl p-3 shadow-xl" open onOpenChange={(o)=>{ if(!o) dismiss(t.id) }}>
-            <Toast.Title className="font-medium">{t.title}</Toast.Title>
-            {t.description && <Toast.Description className="text-sm text-slate-500 dark:text-slate-400">{t.description}</Toast.Description>}
+          <Toast.Root key={t.id} duration={t.duration || TOAST_DURATION} className="w-80 bg-white dark:bg-slate-950 border border-slate-200 dark:border-slate-800 rounded-xl p-3 shadow-xl" open onOpenChange={(o)=>{ if(!o) dismiss(t.id) }}>
+            <div className="flex items-start gap-2">
+              <div className="flex-1 min-w-0">
+                <Toast.Title className="font-medium">{t.title}</Toast.Title>
+                {t.description && <Toast.Description className="text-sm text-slate-500 dark:text-slate-400 line-clamp-3">{t.description}</Toast.Description>}
+              </div>
+              <Toast.Close aria-label="Dismiss" className="p-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800"><X size={14}/></Toast.Close>
+            </div>
+            {t.action && (
+              <Toast.Action altText={t.action.label} onClick={t.action.onClick} className="mt-2 text-xs px-3 py-1 rounded-lg border border-slate-200 dark:border-slate-700 hover:bg-slate-50 dark:hover:bg-slate-800">{t.action.label}</Toast.Action>
+            )}
           </Toast.Root>
         ))}
-        <Toast.Viewport className="fixed bottom-0 right-0 flex flex-col gap-2 p-6 outline-none" />
+        {idleWarning && (
+          <div role="alert" className="fixed top-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 rounded-xl border border-amber-200 dark:border-amber-900 bg-amber-50 dark:bg-amber-950 px-4 py-2 text-sm text-amber-800 dark:text-amber-200 shadow-lg">
+            <Clock size={16}/> You'll be signed out in about a minute due to inactivity.
+            <button onClick={keepAlive} className="font-medium underline">Stay signed in</button>
+          </div>
+        )}
+        <Toast.Viewport className="fixed bottom-0 right-0 z-50 flex flex-col gap-2 p-6 outline-none" />
       </div>
     </Toast.Provider>
   )